@@ -1,79 +1,128 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { RoundedBoxGeometry } from 'three/addons/geometries/RoundedBoxGeometry.js';
+import {
+    DEFAULT_GRID_SIZE,
+    MAX_GRID_SIZE,
+    MAX_CHANNELS,
+    MAX_TIMER_PERIOD,
+    MAX_PIECES,
+    MOVE_DIRECTIONS,
+    BLOCK,
+    BLOCK_TYPES,
+    LEVELS,
+    LevelGenerator,
+    DailyChallenge,
+    PuzzleSolver,
+    GameState,
+    getLevelRules,
+    getLevelTargets,
+    getLevelSize,
+    createEmptyGrid,
+    isInBounds,
+    validateLevelData,
+    validateLevelPack,
+    getStarRating,
+    serializeLevel,
+    serializeReplay,
+    parseReplay
+} from './game-core.js';
 
-const GRID_SIZE = 3;
 const BLOCK_SIZE = 1;
 const GAP = 0.1;
 const TOTAL_SIZE = BLOCK_SIZE + GAP;
+const LAYER_GHOST_OPACITY = 0.06;
+// Empty editor cells are faint; on gravity levels the cells blocks will drop into stand out
+const EDITOR_LANDING_OPACITY = 0.4;
+const LAYER_EXPLODE_GAP = 0.9;
+// Each map grid is one layer seen face-on: columns and rows run along the other two axes, with +Y drawn upwards
+const MAP_PLANES = {
+    x: { column: 'z', row: 'y', isFlipped: true },
+    y: { column: 'x', row: 'z', isFlipped: false },
+    z: { column: 'x', row: 'y', isFlipped: true }
+};
+
+const FOG_DENSITY = 0.08;
+const CAMERA_FIT_DISTANCE = 4.05;
+const CAMERA_TRANSITION_MS = 450;
+// Directions from the orbit target; straight up and down lean a hair towards +Z so OrbitControls keeps its bearings
+const CAMERA_VIEWS = {
+    front: { key: '1', name: '정면', dir: [0, 0, 1] },
+    back: { key: '2', name: '후면', dir: [0, 0, -1] },
+    left: { key: '3', name: '왼쪽', dir: [-1, 0, 0] },
+    right: { key: '4', name: '오른쪽', dir: [1, 0, 0] },
+    top: { key: '5', name: '위', dir: [0, 1, 0.001] },
+    bottom: { key: '6', name: '아래', dir: [0, -1, 0.001] },
+    iso: { key: '7', name: '등각', dir: [7, 6, 7] }
+};
 
 const COLOR_NORMAL = 0x3366ff;
 const COLOR_CORE = 0xff3366;
 const COLOR_TARGET = 0x00ff00;
 const COLOR_FIREWALL = 0x222222;
+const COLOR_KEY = 0xffcc00;
+const COLOR_TIMER = 0xff6600;
+const CHANNEL_COLORS = [0xff9900, 0x33ccff, 0xcc66ff, 0x99ff33];
+const PIECE_COLORS = [0x33aaff, 0x7755ff, 0x22ccaa, 0x5588cc, 0x9966dd, 0x44bbdd];
 const COLOR_HINT = 0x00ffcc;
 const COLOR_HINT_ACTIVE = 0x00ff88;
-const DEBUG_MODE = new URLSearchParams(window.location.search).has('debug');
+const COLOR_PUSH_PREVIEW = 0x225544;
+const URL_PARAMS = new URLSearchParams(window.location.search);
 const SWIPE_THRESHOLD = 18;
 const SWIPE_PREVIEW_THRESHOLD = 10;
 const SWIPE_SCORE_THRESHOLD = 0.55;
 const SWIPE_PREVIEW_SCORE = 0.35;
+const MOVE_ANIMATION_MS = 200;
+// A quarter turn lasts as long as a two-cell slide
+const ROTATION_ANIMATION_CELLS = 2;
+const COLOR_SLICE = 0x00ffcc;
+// Palettes only swap the colours that carry meaning; core-hacker.css mirrors them for the map and legend
+const PALETTES = {
+    default: { data: COLOR_NORMAL, core: COLOR_CORE, exit: COLOR_TARGET, key: COLOR_KEY, channels: CHANNEL_COLORS },
+    cvd: { data: 0x0072b2, core: 0xd55e00, exit: 0xf0e442, key: 0xcc79a7, channels: [0xe69f00, 0x56b4e9, 0x009e73, 0xffffff] },
+    contrast: { data: 0xbbbbbb, core: 0xff00ff, exit: 0xffff00, key: 0x00ffff, channels: [0xff8800, 0x0088ff, 0xffffff, 0x00ff00] }
+};
+const PALETTE_ROLES = { [BLOCK.DATA]: 'data', [BLOCK.CORE]: 'core', [BLOCK.KEY]: 'key' };
+const REDUCED_MOTION_SCALE = 0.3;
+const API_VERSION = 1;
+const API_EVENTS = ['move', 'victory', 'lockdown', 'levelchange'];
+const REPLAY_MIN_GAP = 120;
+const REPLAY_MAX_GAP = 1500;
+const DAILY_HISTORY_DAYS = 7;
+// Keys and D-pad buttons name screen directions; world controls pin each one to a fixed board direction
+const VIEW_KEYS = { arrowleft: 'left', arrowright: 'right', arrowup: 'up', arrowdown: 'down', q: 'out', e: 'in' };
+const VIEW_LABELS = { left: '◄', right: '►', up: '▲', down: '▼', out: 'Out', in: 'In' };
+const WORLD_VIEW_MOVES = {
+    left: { axis: 'x', dir: -1 },
+    right: { axis: 'x', dir: 1 },
+    up: { axis: 'y', dir: 1 },
+    down: { axis: 'y', dir: -1 },
+    out: { axis: 'z', dir: 1 },
+    in: { axis: 'z', dir: -1 }
+};
 
-const LEVELS = [
-    {
-        id: 'boot',
-        name: 'Boot Sector',
-        moveLimit: 12,
-        target: { x: 2, y: 2, z: 2 },
-        blocks: [
-            { x: 0, y: 0, z: 0, type: 2 },
-            { x: 0, y: 0, z: 1, type: 1 },
-            { x: 0, y: 1, z: 0, type: 1 },
-            { x: 1, y: 0, z: 1, type: 1 },
-            { x: 1, y: 1, z: 0, type: 1 },
-            { x: 2, y: 0, z: 0, type: 1 },
-            { x: 2, y: 1, z: 1, type: 1 }
-        ]
-    },
-    {
-        id: 'firewall',
-        name: 'Firewall Maze',
-        moveLimit: 16,
-        target: { x: 2, y: 2, z: 2 },
-        blocks: [
-            { x: 0, y: 0, z: 0, type: 2 },
-            { x: 0, y: 0, z: 1, type: 1 },
-            { x: 1, y: 0, z: 1, type: 1 },
-            { x: 2, y: 0, z: 1, type: 1 },
-            { x: 0, y: 1, z: 0, type: 1 },
-            { x: 2, y: 0, z: 0, type: 1 },
-            { x: 1, y: 0, z: 2, type: 1 },
-            { x: 1, y: 1, z: 1, type: 3 },
-            { x: 1, y: 2, z: 1, type: 3 },
-            { x: 2, y: 1, z: 2, type: 3 }
-        ]
-    },
-    {
-        id: 'core-lock',
-        name: 'Core Lock',
-        moveLimit: 20,
-        target: { x: 2, y: 2, z: 2 },
-        blocks: [
-            { x: 0, y: 0, z: 0, type: 2 },
-            { x: 0, y: 0, z: 1, type: 1 },
-            { x: 0, y: 1, z: 1, type: 1 },
-            { x: 1, y: 0, z: 1, type: 1 },
-            { x: 1, y: 0, z: 2, type: 1 },
-            { x: 2, y: 0, z: 1, type: 1 },
-            { x: 2, y: 1, z: 1, type: 1 },
-            { x: 0, y: 2, z: 1, type: 1 },
-            { x: 2, y: 2, z: 0, type: 1 },
-            { x: 1, y: 1, z: 1, type: 3 },
-            { x: 2, y: 1, z: 0, type: 3 },
-            { x: 1, y: 2, z: 0, type: 3 }
-        ]
-    }
-];
+// Look and selection text per block type; tile types are drawn as fixed cell features, not blocks
+const BLOCK_VISUALS = {
+    [BLOCK.DATA]: { name: '데이터 블록', color: COLOR_NORMAL, roughness: 0.3, metalness: 0.7, xrayOpacity: 0.2 },
+    [BLOCK.CORE]: { name: '코어', color: COLOR_CORE, roughness: 0.3, metalness: 0.7, xrayOpacity: 0.2 },
+    [BLOCK.FIREWALL]: { name: '방화벽', note: ' (이동 불가)', color: COLOR_FIREWALL, roughness: 0.8, metalness: 0.2, xrayOpacity: 0.5 },
+    [BLOCK.KEY]: { name: '키 블록', note: ' (패드에 올리면 잠금 해제)', color: COLOR_KEY, roughness: 0.2, metalness: 0.9, xrayOpacity: 0.3 },
+    [BLOCK.PAD]: { name: '패드' },
+    [BLOCK.LOCK]: { name: '잠금' },
+    [BLOCK.PORTAL]: { name: '포탈' },
+    [BLOCK.TIMER]: { name: '타이머 방화벽', color: COLOR_TIMER }
+};
+const EDITOR_TOOL_TYPES = {
+    data: BLOCK.DATA,
+    piece: BLOCK.DATA,
+    core: BLOCK.CORE,
+    firewall: BLOCK.FIREWALL,
+    key: BLOCK.KEY,
+    pad: BLOCK.PAD,
+    lock: BLOCK.LOCK,
+    portal: BLOCK.PORTAL,
+    timer: BLOCK.TIMER
+};
 
 let scene;
 let camera;
@@ -83,180 +132,176 @@ let raycaster;
 let pointer;
 let pointerStates = new Map();
 let blocks = [];
-let gridData = [];
+let tileMeshes = [];
+let game = null;
 let selectedBlock = null;
-let targetZoneMesh = null;
+let targetZoneMeshes = [];
+let boundaryMesh = null;
+let floorGrid = null;
+let gridSize = { x: DEFAULT_GRID_SIZE, y: DEFAULT_GRID_SIZE, z: DEFAULT_GRID_SIZE };
 let moveHintGroup = null;
 let moveHintGeometry = null;
 let moveHintMaterial = null;
 let swipePreview = null;
+let sliceAxis = 'y';
+let sliceLayer = 0;
+let sliceMarker = null;
 let isXRayMode = false;
+let isLayerMode = false;
+let isExploded = false;
+let layerAxis = 'y';
+let layerIndex = 0;
+let isCameraRelative = false;
+let isAutoFrame = false;
+let isMapOpen = false;
+let isAccessibleMode = false;
+let isShapeCues = false;
+let isReducedMotion = false;
+let paletteName = 'default';
+let cameraTransitionId = 0;
 let isAnimating = false;
 let isGameClear = false;
+let isLockdown = false;
+let isEditorMode = false;
+let isPlaytest = false;
+let editorLevel = null;
+let editorReturn = null;
+let editorTool = 'data';
+let editorMarkerGroup = null;
+let isReplayMode = false;
+let replay = null;
+let replayReturn = null;
+let attemptLog = [];
+let lastAttempt = null;
 let currentLevelIndex = 0;
-let targetPos = { x: 2, y: 2, z: 2 };
+let currentLevel = null;
 let moveCount = 0;
-let moveHistory = [];
+let extractedCount = 0;
+let hintCache = new Map();
 
 let currentLevelName = '';
 
+// Legacy keys are only read to migrate older saves into SAVE_KEY
 const PROGRESS_KEY = 'core_hacker_progress';
+const STARS_KEY = 'core_hacker_stars';
+const SAVE_KEY = 'core_hacker_save';
+const SAVE_VERSION = 2;
+// Keyed by level object so custom levels sharing an id never reuse another board's optimum
+const optimalCache = new WeakMap();
+// Dailies take a moment to generate, so each date is built once per session
+const dailyLevels = new Map();
+
+let saveData = null;
+let activePack = null;
+let levelStartTime = 0;
+let moveAnimationMs = MOVE_ANIMATION_MS;
+let idleResolvers = [];
+// Sector generation and editor solves run in a worker; only the latest request may replace the board or the status
+let generatorWorker = null;
+let workerJobId = 0;
+let generationId = 0;
+let editorValidationId = 0;
+let pendingGeneration = null;
+const apiListeners = new Map(API_EVENTS.map((name) => [name, new Set()]));
 
 const ui = {
     message: document.getElementById('message-box'),
+    legendCore: document.getElementById('legend-core'),
     levelText: document.getElementById('level-text'),
     moveText: document.getElementById('move-text'),
+    seedStat: document.getElementById('seed-stat'),
+    seedText: document.getElementById('seed-text'),
     resetBtn: document.getElementById('reset-btn'),
     undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
+    timelineRange: document.getElementById('timeline-range'),
+    timelineLabel: document.getElementById('timeline-label'),
+    rotatePanel: document.getElementById('rotate-panel'),
+    rotateAxisBtns: [...document.querySelectorAll('[data-rotate-axis]')],
+    rotateLayer: document.getElementById('rotate-layer'),
+    rotateLayerPrev: document.getElementById('rotate-layer-prev'),
+    rotateLayerNext: document.getElementById('rotate-layer-next'),
+    rotateCcw: document.getElementById('rotate-ccw'),
+    rotateCw: document.getElementById('rotate-cw'),
     xrayBtn: document.getElementById('xray-btn'),
+    layerBtn: document.getElementById('layer-btn'),
+    layerPanel: document.getElementById('layer-panel'),
+    layerAxisBtns: [...document.querySelectorAll('[data-layer-axis]')],
+    layerRange: document.getElementById('layer-range'),
+    layerLabel: document.getElementById('layer-label'),
+    explodeBtn: document.getElementById('explode-btn'),
+    mapBtn: document.getElementById('map-btn'),
+    announcer: document.getElementById('sr-announcer'),
+    cellJump: document.getElementById('cell-jump'),
+    cellInput: document.getElementById('cell-input'),
+    accessBtn: document.getElementById('access-btn'),
+    accessModal: document.getElementById('access-modal'),
+    accessAnnounce: document.getElementById('access-announce'),
+    accessPalette: document.getElementById('access-palette'),
+    accessCues: document.getElementById('access-cues'),
+    accessMotion: document.getElementById('access-motion'),
+    accessClose: document.getElementById('access-close'),
+    layerMap: document.getElementById('layer-map'),
+    layerMapGrids: document.getElementById('layer-map-grids'),
+    cameraKeysBtn: document.getElementById('camera-keys-btn'),
+    viewCubeBody: document.getElementById('view-cube-body'),
+    autoFrameBtn: document.getElementById('auto-frame-btn'),
     helpBtn: document.getElementById('help-btn'),
+    levelsBtn: document.getElementById('levels-btn'),
+    levelSelect: document.getElementById('level-select'),
+    levelList: document.getElementById('level-list'),
+    levelSelectClose: document.getElementById('level-select-close'),
+    packInfo: document.getElementById('pack-info'),
+    packStatus: document.getElementById('pack-status'),
+    packFile: document.getElementById('pack-file'),
+    packLoadBtn: document.getElementById('pack-load-btn'),
+    packCloseBtn: document.getElementById('pack-close-btn'),
+    dailyInfo: document.getElementById('daily-info'),
+    dailyPlayBtn: document.getElementById('daily-play-btn'),
+    dailyShareBtn: document.getElementById('daily-share-btn'),
+    dailyHistory: document.getElementById('daily-history'),
+    editorBtn: document.getElementById('editor-btn'),
+    editorPanel: document.getElementById('editor-panel'),
+    editorName: document.getElementById('editor-name'),
+    editorLimit: document.getElementById('editor-limit'),
+    editorPush: document.getElementById('editor-push'),
+    editorSlide: document.getElementById('editor-slide'),
+    editorGravity: document.getElementById('editor-gravity'),
+    editorRotate: document.getElementById('editor-rotate'),
+    editorColor: document.getElementById('editor-color'),
+    editorChannel: document.getElementById('editor-channel'),
+    editorPeriod: document.getElementById('editor-period'),
+    editorPiece: document.getElementById('editor-piece'),
+    editorSize: ['x', 'y', 'z'].map((axis) => document.getElementById(`editor-size-${axis}`)),
+    editorJson: document.getElementById('editor-json'),
+    editorStatus: document.getElementById('editor-status'),
+    replayBtn: document.getElementById('replay-btn'),
+    replayPanel: document.getElementById('replay-panel'),
+    replayProgress: document.getElementById('replay-progress'),
+    replayPlayBtn: document.getElementById('replay-play-btn'),
+    replaySpeed: document.getElementById('replay-speed'),
+    replayJson: document.getElementById('replay-json'),
+    replayStatus: document.getElementById('replay-status'),
+    hintBtn: document.getElementById('hint-btn'),
     modal: document.getElementById('victory-modal'),
     modalButton: document.getElementById('modal-next-btn'),
+    modalReplayBtn: document.getElementById('modal-replay-btn'),
+    modalShareBtn: document.getElementById('modal-share-btn'),
+    victoryStars: document.getElementById('victory-stars'),
+    victoryStats: document.getElementById('victory-stats'),
+    lockdownModal: document.getElementById('lockdown-modal'),
+    lockdownRetryBtn: document.getElementById('lockdown-retry-btn'),
+    lockdownUndoBtn: document.getElementById('lockdown-undo-btn'),
     introModal: document.getElementById('intro-modal'),
     startBtn: document.getElementById('start-game-btn')
 };
 
-class LevelGenerator {
-    static generate(levelNum) {
-        // Increase complexity based on level number
-        const scrambleMoves = 5 + Math.floor(levelNum * 1.5);
-        const dataBlockCount = Math.min(8 + Math.floor(levelNum * 0.5), 18);
-        const firewallCount = Math.min(Math.floor(levelNum / 5), 4);
-
-        const id = `gen-${levelNum}`;
-        const name = `Sector ${levelNum}`;
-        const target = { x: 2, y: 2, z: 2 }; // Fixed exit for consistency
-
-        let grid = Array(GRID_SIZE).fill().map(() =>
-            Array(GRID_SIZE).fill().map(() => Array(GRID_SIZE).fill(0))
-        );
-
-        // Start with Core at target
-        let corePos = { ...target };
-        grid[corePos.x][corePos.y][corePos.z] = 2;
-
-        // Add Firewalls at random (avoid target)
-        let firewallsAdded = 0;
-        while (firewallsAdded < firewallCount) {
-            const rx = Math.floor(Math.random() * 3);
-            const ry = Math.floor(Math.random() * 3);
-            const rz = Math.floor(Math.random() * 3);
-            if (grid[rx][ry][rz] === 0 && !(rx === target.x && ry === target.y && rz === target.z)) {
-                grid[rx][ry][rz] = 3;
-                firewallsAdded++;
-            }
-        }
-
-        // Add Data Blocks at random
-        let dataAdded = 0;
-        while (dataAdded < dataBlockCount) {
-            const rx = Math.floor(Math.random() * 3);
-            const ry = Math.floor(Math.random() * 3);
-            const rz = Math.floor(Math.random() * 3);
-            if (grid[rx][ry][rz] === 0) {
-                grid[rx][ry][rz] = 1;
-                dataAdded++;
-            }
-        }
-
-        // Scramble (Reverse-play)
-        const axes = ['x', 'y', 'z'];
-        let actualMoves = 0;
-        let timeout = 0;
-
-        while (actualMoves < scrambleMoves && timeout < 500) {
-            timeout++;
-            const axis = axes[Math.floor(Math.random() * 3)];
-            const dir = Math.random() > 0.5 ? 1 : -1;
-
-            // Find a block that can move in this direction (including Core)
-            const movableBlocks = [];
-            for (let x = 0; x < 3; x++) {
-                for (let y = 0; y < 3; y++) {
-                    for (let z = 0; z < 3; z++) {
-                        const type = grid[x][y][z];
-                        if (type === 1 || type === 2) {
-                            const nx = x + (axis === 'x' ? dir : 0);
-                            const ny = y + (axis === 'y' ? dir : 0);
-                            const nz = z + (axis === 'z' ? dir : 0);
-
-                            if (nx >= 0 && nx < 3 && ny >= 0 && ny < 3 && nz >= 0 && nz < 3) {
-                                if (grid[nx][ny][nz] === 0) {
-                                    movableBlocks.push({ x, y, z, nx, ny, nz, type });
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-
-            if (movableBlocks.length > 0) {
-                const move = movableBlocks[Math.floor(Math.random() * movableBlocks.length)];
-                grid[move.nx][move.ny][move.nz] = move.type;
-                grid[move.x][move.y][move.z] = 0;
-                actualMoves++;
-            }
-        }
-
-        // Final Safety Check: Ensure Core is in the grid and not at the target
-        let coreFound = false;
-        for (let x = 0; x < 3; x++) {
-            for (let y = 0; y < 3; y++) {
-                for (let z = 0; z < 3; z++) {
-                    if (grid[x][y][z] === 2) {
-                        if (x === target.x && y === target.y && z === target.z) {
-                            // If core ended up at target, try to move it one step away if possible
-                            const adj = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
-                            for (const [dx, dy, dz] of adj) {
-                                const nx = x + dx, ny = y + dy, nz = z + dz;
-                                if (nx >= 0 && nx < 3 && ny >= 0 && ny < 3 && nz >= 0 && nz < 3 && grid[nx][ny][nz] === 0) {
-                                    grid[nx][ny][nz] = 2;
-                                    grid[x][y][z] = 0;
-                                    coreFound = true;
-                                    break;
-                                }
-                            }
-                        } else {
-                            coreFound = true;
-                        }
-                    }
-                }
-            }
-        }
-
-        // If still not found or stuck at target, force a position (last resort)
-        if (!coreFound) {
-            grid[0][0][0] = 2;
-        }
-
-        // Extract blocks for level object
-        const blocks = [];
-        for (let x = 0; x < 3; x++) {
-            for (let y = 0; y < 3; y++) {
-                for (let z = 0; z < 3; z++) {
-                    if (grid[x][y][z] !== 0) {
-                        blocks.push({ x, y, z, type: grid[x][y][z] });
-                    }
-                }
-            }
-        }
-
-        return {
-            id,
-            name,
-            moveLimit: Math.floor(scrambleMoves * 1.5),
-            target,
-            blocks
-        };
-    }
-}
-
 function init() {
     const container = document.getElementById('canvas-container');
 
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x1a1a1a);
-    scene.fog = new THREE.FogExp2(0x1a1a1a, 0.08);
+    scene.fog = new THREE.FogExp2(0x1a1a1a, FOG_DENSITY);
 
     camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 100);
     camera.position.set(7, 6, 7);
@@ -281,21 +326,25 @@ function init() {
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
     controls.enablePan = false;
+    controls.addEventListener('change', () => {
+        updateMoveButtonLabels();
+        updateViewCube();
+    });
 
     raycaster = new THREE.Raycaster();
     pointer = new THREE.Vector2();
 
-    const gridHelper = new THREE.GridHelper(10, 10, 0x333333, 0x222222);
-    gridHelper.position.y = -2.5;
-    scene.add(gridHelper);
+    floorGrid = new THREE.GridHelper(10, 10, 0x333333, 0x222222);
+    floorGrid.position.y = -2.5;
+    scene.add(floorGrid);
 
-    const geometry = new THREE.BoxGeometry(GRID_SIZE * 1.2, GRID_SIZE * 1.2, GRID_SIZE * 1.2);
-    const edges = new THREE.EdgesGeometry(geometry);
-    const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x444444 }));
-    scene.add(line);
+    boundaryMesh = new THREE.LineSegments(
+        createBoundaryGeometry(gridSize),
+        new THREE.LineBasicMaterial({ color: 0x444444 })
+    );
+    scene.add(boundaryMesh);
 
     setupMoveHints();
-    createTargetZone();
 
     window.addEventListener('resize', onWindowResize);
     window.addEventListener('keydown', onKeyDown);
@@ -306,29 +355,106 @@ function init() {
 
     ui.resetBtn.addEventListener('click', resetLevel);
     ui.modalButton.addEventListener('click', nextLevel);
+    ui.modalReplayBtn.addEventListener('click', () => openReplay(getReplayableAttempt()));
+    ui.modalShareBtn.addEventListener('click', () => shareDaily(currentLevel.daily, ui.modalShareBtn));
+    ui.lockdownRetryBtn.addEventListener('click', resetLevel);
+    ui.lockdownUndoBtn.addEventListener('click', undoMove);
     ui.xrayBtn.addEventListener('click', toggleXRay);
+    ui.layerBtn.addEventListener('click', toggleLayerView);
+    ui.layerAxisBtns.forEach((button) => {
+        button.addEventListener('click', () => selectLayer(button.dataset.layerAxis, layerIndex));
+    });
+    ui.layerRange.addEventListener('input', () => selectLayer(layerAxis, parseInt(ui.layerRange.value, 10)));
+    ui.explodeBtn.addEventListener('click', toggleExplode);
+    ui.mapBtn.addEventListener('click', toggleMap);
+    ui.layerMapGrids.addEventListener('click', onMapClick);
+    ui.accessBtn.addEventListener('click', showAccessSettings);
+    ui.accessClose.addEventListener('click', hideAccessSettings);
+    [ui.accessAnnounce, ui.accessPalette, ui.accessCues, ui.accessMotion].forEach((input) => {
+        input.addEventListener('change', onAccessChange);
+    });
+    ui.cellJump.addEventListener('submit', onCellJump);
+    ui.cameraKeysBtn.addEventListener('click', toggleCameraRelative);
+    document.querySelectorAll('[data-view]').forEach((button) => {
+        button.addEventListener('click', () => setCameraView(button.dataset.view));
+    });
+    ui.autoFrameBtn.addEventListener('click', toggleAutoFrame);
     ui.undoBtn.addEventListener('click', undoMove);
+    ui.redoBtn.addEventListener('click', redoMove);
+    ui.timelineRange.addEventListener('input', () => jumpToStep(parseInt(ui.timelineRange.value, 10)));
     ui.helpBtn.addEventListener('click', showIntro);
+    ui.levelsBtn.addEventListener('click', showLevelSelect);
+    ui.levelSelectClose.addEventListener('click', hideLevelSelect);
+    ui.editorBtn.addEventListener('click', toggleEditor);
+    ui.packLoadBtn.addEventListener('click', () => ui.packFile.click());
+    ui.packCloseBtn.addEventListener('click', closePack);
+    ui.dailyPlayBtn.addEventListener('click', () => {
+        hideLevelSelect();
+        loadDaily();
+    });
+    ui.dailyShareBtn.addEventListener('click', () => shareDaily(DailyChallenge.getKey(), ui.dailyShareBtn));
+    ui.packFile.addEventListener('change', () => {
+        if (ui.packFile.files.length > 0) {
+            readPackFile(ui.packFile.files[0]);
+        }
+        ui.packFile.value = '';
+    });
+    window.addEventListener('dragover', (event) => event.preventDefault());
+    window.addEventListener('drop', onPackDrop);
+    ui.hintBtn.addEventListener('click', showHint);
+    ui.seedStat.addEventListener('click', copySeedLink);
     ui.startBtn.addEventListener('click', hideIntro);
 
     setupMoveButtons();
-    exposeDebugApi();
+    setupRotatePanel();
+    setupEditor();
+    setupReplay();
+    exposeAutomationApi();
 
     // Load progress or show intro
-    const progress = localStorage.getItem(PROGRESS_KEY);
-    if (!progress) {
+    const isFirstRun = localStorage.getItem(SAVE_KEY) === null && localStorage.getItem(PROGRESS_KEY) === null;
+    saveData = loadSave();
+    isCameraRelative = saveData.settings.cameraRelative === true;
+    isAutoFrame = saveData.settings.autoFrame === true;
+    isMapOpen = saveData.settings.map === true;
+    isAccessibleMode = saveData.settings.accessible === true;
+    isShapeCues = saveData.settings.cues === true;
+    paletteName = PALETTES[saveData.settings.palette] ? saveData.settings.palette : 'default';
+    // Until the player picks a setting, reduced motion follows the system preference
+    isReducedMotion = saveData.settings.reducedMotion
+        ?? window.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true;
+    applyAccessSettings();
+    ui.cameraKeysBtn.classList.toggle('active', isCameraRelative);
+    ui.autoFrameBtn.classList.toggle('active', isAutoFrame);
+    ui.mapBtn.classList.toggle('active', isMapOpen);
+    updateViewCube();
+    if (isFirstRun) {
         showIntro();
-        currentLevelIndex = 0;
+    }
+    currentLevelIndex = saveData.current;
+
+    const sharedSeed = LevelGenerator.parseSeedCode(URL_PARAMS.get('seed'));
+    if (URL_PARAMS.has('daily')) {
+        hideIntro();
+        loadDaily();
+    } else if (sharedSeed) {
+        hideIntro();
+        loadLevel(sharedSeed.levelNum - 1, sharedSeed.seed);
     } else {
-        currentLevelIndex = parseInt(progress, 10) || 0;
+        loadLevel(currentLevelIndex);
+    }
+    if (URL_PARAMS.has('pack')) {
+        fetchPack(URL_PARAMS.get('pack'));
     }
 
-    loadLevel(currentLevelIndex);
-
-    setTimeout(() => {
-        document.getElementById('loader').style.opacity = 0;
-        setTimeout(() => document.getElementById('loader').remove(), 500);
-    }, 1000);
+    // A generated first board arrives from the worker, so the loader stays up until a board is in place
+    idleResolvers.push(() => {
+        setTimeout(() => {
+            document.getElementById('loader').style.opacity = 0;
+            setTimeout(() => document.getElementById('loader').remove(), 500);
+        }, 1000);
+    });
+    flushIdleResolvers();
 
     animate();
 }
@@ -350,6 +476,23 @@ function setupMoveButtons() {
     bindMove('move-z-neg', 'z', -1);
 }
 
+function setupRotatePanel() {
+    sliceMarker = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 1, 1),
+        new THREE.MeshBasicMaterial({ color: COLOR_SLICE, transparent: true, opacity: 0.08, depthWrite: false })
+    );
+    sliceMarker.visible = false;
+    scene.add(sliceMarker);
+
+    ui.rotateAxisBtns.forEach((button) => {
+        button.addEventListener('click', () => selectSlice(button.dataset.rotateAxis, sliceLayer));
+    });
+    ui.rotateLayerPrev.addEventListener('click', () => selectSlice(sliceAxis, sliceLayer - 1));
+    ui.rotateLayerNext.addEventListener('click', () => selectSlice(sliceAxis, sliceLayer + 1));
+    ui.rotateCcw.addEventListener('click', () => rotateSelectedSlice(1));
+    ui.rotateCw.addEventListener('click', () => rotateSelectedSlice(-1));
+}
+
 function setupMoveHints() {
     moveHintGeometry = new THREE.BoxGeometry(BLOCK_SIZE * 0.55, BLOCK_SIZE * 0.55, BLOCK_SIZE * 0.55);
     moveHintMaterial = new THREE.MeshBasicMaterial({
@@ -362,267 +505,668 @@ function setupMoveHints() {
     scene.add(moveHintGroup);
 }
 
-function exposeDebugApi() {
-    if (!DEBUG_MODE) {
-        return;
-    }
-
-    window.__coreHackerDebug = {
-        selectBlockAt: (x, y, z) => {
-            const mesh = blocks.find(
-                (block) => block.userData.gx === x && block.userData.gy === y && block.userData.gz === z
-            );
+function exposeAutomationApi() {
+    window.coreHacker = Object.freeze({
+        version: API_VERSION,
+        getState: getApiState,
+        listLevels: () => (activePack ? activePack.levels : LEVELS).map((level, index) => ({
+            index,
+            id: level.id,
+            name: level.name
+        })),
+        loadLevel: (ref) => {
+            loadLevelFromApi(ref);
+            return getApiState();
+        },
+        move: (x, y, z, axis, dir) => {
+            if (isAnimating || isGameClear || isLockdown || isEditorMode || isReplayMode) {
+                return false;
+            }
+            const mesh = findBlockAt(x, y, z);
             if (!mesh) {
                 return false;
             }
             selectBlock(mesh);
-            return true;
-        },
-        getScreenPos: (x, y, z) => {
-            if (!isInBounds(x, y, z)) {
-                return null;
-            }
-            if (!gridData[x] || !gridData[x][y] || gridData[x][y][z] === 0) {
-                return null;
-            }
-            return worldToScreen(getWorldPos(x, y, z));
-        },
-        getScreenPosAny: (x, y, z) => {
-            if (!isInBounds(x, y, z)) {
-                return null;
-            }
-            return worldToScreen(getWorldPos(x, y, z));
-        },
-        getSelectedScreenPos: () => {
-            if (!selectedBlock) {
-                return null;
-            }
-            return worldToScreen(selectedBlock.position.clone());
-        },
-        move: (axis, dir) => {
-            moveSelectedBlock(axis, dir);
+            return moveBlock(mesh, axis, dir);
         },
         undo: () => {
+            const before = game.moveCount;
             undoMove();
+            return game.moveCount !== before;
+        },
+        redo: () => {
+            const before = game.moveCount;
+            redoMove();
+            return game.moveCount !== before;
         },
         reset: () => {
             resetLevel();
+            return getApiState();
         },
-        toggleXRay: () => {
-            toggleXRay();
-        },
-        getCameraState: () => ({
-            position: camera.position.toArray(),
-            target: controls.target.toArray()
-        }),
-        getValidMoves: () => {
-            if (!selectedBlock) {
-                return [];
-            }
-            const { gx, gy, gz, type } = selectedBlock.userData;
-            if (type === 3) {
-                return [];
+        rotate: (axis, layer, dir) => {
+            if (isAnimating || isGameClear || isLockdown || isEditorMode || isReplayMode) {
+                return false;
             }
-            const candidates = [
-                { axis: 'x', dir: 1, nx: gx + 1, ny: gy, nz: gz },
-                { axis: 'x', dir: -1, nx: gx - 1, ny: gy, nz: gz },
-                { axis: 'y', dir: 1, nx: gx, ny: gy + 1, nz: gz },
-                { axis: 'y', dir: -1, nx: gx, ny: gy - 1, nz: gz },
-                { axis: 'z', dir: 1, nx: gx, ny: gy, nz: gz + 1 },
-                { axis: 'z', dir: -1, nx: gx, ny: gy, nz: gz - 1 }
-            ];
-            return candidates
-                .filter((candidate) => isInBounds(candidate.nx, candidate.ny, candidate.nz))
-                .filter((candidate) => gridData[candidate.nx][candidate.ny][candidate.nz] === 0)
-                .map((candidate) => ({
-                    axis: candidate.axis,
-                    dir: candidate.dir,
-                    x: candidate.nx,
-                    y: candidate.ny,
-                    z: candidate.nz
-                }));
+            selectSlice(axis, layer);
+            return rotateSlice(axis, layer, dir);
         },
-        getTapTarget: () => {
-            if (!blocks.length) {
-                return null;
-            }
-            let best = null;
-            let bestDistance = Infinity;
-            blocks.forEach((block) => {
-                const distance = block.position.distanceTo(camera.position);
-                if (distance < bestDistance) {
-                    bestDistance = distance;
-                    best = block;
-                }
-            });
-            if (!best) {
-                return null;
+        solve: () => game.solve(),
+        on: (name, listener) => {
+            if (!apiListeners.has(name)) {
+                throw new Error(`Unknown event "${name}". Expected one of: ${API_EVENTS.join(', ')}`);
             }
-            return {
-                x: best.userData.gx,
-                y: best.userData.gy,
-                z: best.userData.gz,
-                screen: worldToScreen(best.position.clone())
-            };
+            apiListeners.get(name).add(listener);
+            return () => apiListeners.get(name).delete(listener);
         },
-        forceWin: () => {
-            const core = blocks.find((block) => block.userData.type === 2);
-            if (!core) {
-                return false;
+        off: (name, listener) => {
+            if (apiListeners.has(name)) {
+                apiListeners.get(name).delete(listener);
             }
-            const from = { x: core.userData.gx, y: core.userData.gy, z: core.userData.gz };
-            const to = { ...targetPos };
-            if (!isInBounds(to.x, to.y, to.z)) {
-                return false;
+        },
+        whenIdle: () => new Promise((resolve) => {
+            idleResolvers.push(resolve);
+            flushIdleResolvers();
+        }),
+        setAnimationDuration: (ms) => {
+            if (typeof ms !== 'number' || !(ms >= 0)) {
+                throw new Error(`Animation duration must be a non-negative number (got ${ms})`);
             }
-            if (gridData[to.x][to.y][to.z] !== 0) {
-                return false;
+            moveAnimationMs = ms;
+        },
+        getScreenPosition: (x, y, z) => {
+            if (!isInBounds(x, y, z, gridSize)) {
+                return null;
             }
-            selectBlock(core);
-            applyMove(core, from, to, true);
-            return true;
+            return worldToScreen(getWorldPos(x, y, z));
+        }
+    });
+}
+
+function getApiState() {
+    // The first board of a session may still be generating
+    if (!game) {
+        return null;
+    }
+    const mode = isEditorMode ? 'editor' : isReplayMode ? 'replay' : isPlaytest ? 'playtest' : 'play';
+    return {
+        version: API_VERSION,
+        mode,
+        status: isEditorMode ? 'editing' : game.getStatus(),
+        level: {
+            id: currentLevel.id,
+            name: currentLevel.name,
+            index: currentLevelIndex,
+            pack: activePack ? activePack.id : null,
+            seed: currentLevel.seed ? LevelGenerator.getSeedCode(currentLevel) : null,
+            daily: currentLevel.daily || null,
+            moveLimit: currentLevel.moveLimit,
+            rules: { ...game.rules },
+            size: { ...game.size },
+            target: { ...game.targets[0] },
+            targets: game.targets.map((target) => ({ ...target }))
         },
-        getState: () => ({
-            moveCount,
-            isGameClear,
-            currentLevelIndex,
-            xray: isXRayMode,
-            targetPos: { ...targetPos },
-            selected: selectedBlock
-                ? {
-                    x: selectedBlock.userData.gx,
-                    y: selectedBlock.userData.gy,
-                    z: selectedBlock.userData.gz,
-                    type: selectedBlock.userData.type
-                }
-                : null
-        })
+        moveCount: game.moveCount,
+        cores: { extracted: game.getExtractedCount(), total: game.targets.length },
+        blocks: getBlocksFromGrid(),
+        tiles: game.tiles.map((tile) => ({ ...tile, closed: game.isTileClosed(tile) })),
+        legalMoves: isEditorMode
+            ? []
+            : game.getLegalMoves().map(({ from, axis, dir, layer }) => (
+                layer !== undefined ? { axis, layer, dir } : { ...from, axis, dir }
+            )),
+        canUndo: game.history.length > 0,
+        canRedo: game.redoStack.length > 0,
+        selected: selectedBlock
+            ? { x: selectedBlock.userData.gx, y: selectedBlock.userData.gy, z: selectedBlock.userData.gz }
+            : null,
+        isAnimating,
+        xray: isXRayMode,
+        layer: isLayerMode ? { axis: layerAxis, index: layerIndex, exploded: isExploded } : null
     };
 }
 
+function loadLevelFromApi(ref) {
+    if (isAnimating) {
+        throw new Error('Cannot load a level while a move is animating; await whenIdle() first');
+    }
+    const data = typeof ref === 'string' && ref.trim().startsWith('{') ? JSON.parse(ref) : ref;
+    if (data && typeof data === 'object') {
+        const { level, errors } = validateLevelData(data, 'level');
+        if (!level || errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+        closeReplayView();
+        isPlaytest = false;
+        startLevel({ ...level, isCustom: true });
+        return;
+    }
+
+    if (data === 'daily') {
+        loadDaily();
+        return;
+    }
+    const packIndex = activePack ? activePack.levels.findIndex((level) => level.id === data) : -1;
+    if (packIndex >= 0) {
+        loadLevel(packIndex);
+        return;
+    }
+    const campaignIndex = LEVELS.findIndex((level) => level.id === data);
+    const seedCode = LevelGenerator.parseSeedCode(data);
+    const generated = /^gen-(\d+)$/.exec(data);
+    const sectorNum = generated ? parseInt(generated[1], 10) : 0;
+    if (campaignIndex < 0 && !seedCode && sectorNum <= LEVELS.length) {
+        throw new Error(`Unknown level "${data}". Use a level id, "gen-N", a seed code like "12-abc", "daily" or level JSON`);
+    }
+    activePack = null;
+    if (campaignIndex >= 0) {
+        loadLevel(campaignIndex);
+    } else if (seedCode) {
+        loadLevel(seedCode.levelNum - 1, seedCode.seed);
+    } else {
+        loadLevel(sectorNum - 1);
+    }
+}
+
+function emitApiEvent(name, detail) {
+    apiListeners.get(name).forEach((listener) => {
+        // A failing listener must not break the move that triggered it; rethrowing later still reports it as uncaught
+        try {
+            listener(detail);
+        } catch (error) {
+            queueMicrotask(() => {
+                throw error;
+            });
+        }
+    });
+}
+
+function flushIdleResolvers() {
+    if (!game || isAnimating || (replay && replay.playing) || pendingGeneration !== null) {
+        return;
+    }
+    const resolvers = idleResolvers;
+    idleResolvers = [];
+    resolvers.forEach((resolve) => resolve(getApiState()));
+}
+
 function onKeyDown(event) {
-    if (event.repeat) {
+    if (event.repeat || !game) {
+        return;
+    }
+    if (event.key === 'Escape' && ui.accessModal.classList.contains('show')) {
+        hideAccessSettings();
+        return;
+    }
+    if (event.target.closest && event.target.closest('input, textarea')) {
+        return;
+    }
+    // Camera presets work everywhere, the editor included; no letter shortcut takes browser shortcuts like Ctrl+F or Ctrl+C
+    const isPlainKey = !event.ctrlKey && !event.metaKey && !event.altKey;
+    const view = Object.keys(CAMERA_VIEWS).find((name) => CAMERA_VIEWS[name].key === event.key);
+    if (view && isPlainKey) {
+        setCameraView(view);
+        return;
+    }
+    if (event.key.toLowerCase() === 'f' && isPlainKey) {
+        toggleAutoFrame();
+        return;
+    }
+    if (isEditorMode) {
         return;
     }
 
     const key = event.key.toLowerCase();
-    if (key === 'r') {
+    if (key === 'r' && isPlainKey) {
         resetLevel();
         return;
     }
-    if (key === 'u') {
-        undoMove();
+    if (key === 'u' && isPlainKey) {
+        if (event.shiftKey) redoMove();
+        else undoMove();
+        return;
+    }
+    if (key === 'y' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        redoMove();
         return;
     }
-    if (key === 'x') {
+    if (key === 'x' && isPlainKey) {
         toggleXRay();
         return;
     }
+    if (key === 'v' && isPlainKey) {
+        toggleLayerView();
+        return;
+    }
+    if (key === 'm' && isPlainKey) {
+        toggleMap();
+        return;
+    }
+    if (key === 'n' && isPlainKey) {
+        cycleBlock(event.shiftKey ? -1 : 1);
+        return;
+    }
+    if (key === 'j' && isPlainKey && isAccessibleMode) {
+        event.preventDefault();
+        ui.cellInput.focus();
+        return;
+    }
+    if (isLayerMode) {
+        if (key === 'g' && isPlainKey) {
+            const axes = ['x', 'y', 'z'];
+            selectLayer(axes[(axes.indexOf(layerAxis) + 1) % axes.length], layerIndex);
+            return;
+        }
+        if (key === '-' || key === '=' || key === '+') {
+            selectLayer(layerAxis, layerIndex + (key === '-' ? -1 : 1));
+            return;
+        }
+        if (key === 'b' && isPlainKey) {
+            toggleExplode();
+            return;
+        }
+    }
+    if (key === 'c' && isPlainKey) {
+        toggleCameraRelative();
+        return;
+    }
+    if (key === 'h' && isPlainKey) {
+        showHint();
+        return;
+    }
+    if (key === 'l' && isPlainKey) {
+        if (ui.levelSelect.classList.contains('show')) hideLevelSelect();
+        else showLevelSelect();
+        return;
+    }
+    if (isReplayMode) {
+        if (key === ' ') {
+            event.preventDefault();
+            toggleReplayPlayback();
+        } else if (key === 'arrowright') {
+            stepReplayManually();
+        } else if (key === 'arrowleft') {
+            stepReplayBack();
+        }
+        return;
+    }
 
-    if (!selectedBlock || isAnimating || isGameClear) {
+    if (game.rules.rotate && isPlainKey && ['t', '[', ']', ',', '.'].includes(key)) {
+        if (key === 't') {
+            const axes = ['x', 'y', 'z'];
+            selectSlice(axes[(axes.indexOf(sliceAxis) + 1) % axes.length], sliceLayer);
+        } else if (key === '[' || key === ']') {
+            selectSlice(sliceAxis, sliceLayer + (key === ']' ? 1 : -1));
+        } else {
+            rotateSelectedSlice(key === ',' ? 1 : -1);
+        }
         return;
     }
 
-    switch (key) {
-        case 'arrowleft':
-            moveSelectedBlock('x', -1);
-            break;
-        case 'arrowright':
-            moveSelectedBlock('x', 1);
-            break;
-        case 'arrowup':
-            moveSelectedBlock('y', 1);
-            break;
-        case 'arrowdown':
-            moveSelectedBlock('y', -1);
-            break;
-        case 'q':
-            moveSelectedBlock('z', 1);
-            break;
-        case 'e':
-            moveSelectedBlock('z', -1);
-            break;
-        default:
-            break;
+    if (!selectedBlock || isAnimating || isGameClear || isLockdown || !VIEW_KEYS[key]) {
+        return;
     }
+
+    const { axis, dir } = getViewMoves()[VIEW_KEYS[key]];
+    moveSelectedBlock(axis, dir);
 }
 
 function getWorldPos(x, y, z) {
-    const offset = (GRID_SIZE - 1) / 2 * TOTAL_SIZE;
-    return new THREE.Vector3(
-        x * TOTAL_SIZE - offset,
-        y * TOTAL_SIZE - offset,
-        z * TOTAL_SIZE - offset
+    const position = new THREE.Vector3(
+        x * TOTAL_SIZE - (gridSize.x - 1) / 2 * TOTAL_SIZE,
+        y * TOTAL_SIZE - (gridSize.y - 1) / 2 * TOTAL_SIZE,
+        z * TOTAL_SIZE - (gridSize.z - 1) / 2 * TOTAL_SIZE
     );
+    if (isLayerMode && isExploded) {
+        // Exploded layers keep their order but spread apart along the viewed axis
+        position[layerAxis] += ({ x, y, z }[layerAxis] - (gridSize[layerAxis] - 1) / 2) * LAYER_EXPLODE_GAP;
+    }
+    return position;
 }
 
-function createTargetZone() {
-    const geometry = new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE);
-    const edges = new THREE.EdgesGeometry(geometry);
-    targetZoneMesh = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
-        color: COLOR_TARGET,
-        linewidth: 2,
-        transparent: true,
-        opacity: 0.8
-    }));
+function createBoundaryGeometry(size) {
+    return new THREE.EdgesGeometry(new THREE.BoxGeometry(size.x * 1.2, size.y * 1.2, size.z * 1.2));
+}
 
-    const glowGeo = new THREE.BoxGeometry(BLOCK_SIZE * 0.8, BLOCK_SIZE * 0.8, BLOCK_SIZE * 0.8);
-    const glowMat = new THREE.MeshBasicMaterial({
-        color: COLOR_TARGET,
-        transparent: true,
-        opacity: 0.1,
-        wireframe: true
+function setGridSize(size) {
+    if (size.x === gridSize.x && size.y === gridSize.y && size.z === gridSize.z) {
+        return;
+    }
+    gridSize = { ...size };
+
+    boundaryMesh.geometry.dispose();
+    boundaryMesh.geometry = createBoundaryGeometry(gridSize);
+    floorGrid.position.y = -(gridSize.y * 1.2) / 2 - 0.7;
+
+    // Keep the viewing angle but back off far enough to fit the whole board
+    cameraTransitionId += 1;
+    const largest = Math.max(gridSize.x, gridSize.y, gridSize.z);
+    const radius = 0.5 * TOTAL_SIZE * Math.hypot(gridSize.x, gridSize.y, gridSize.z);
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    controls.target.set(0, 0, 0);
+    camera.position.copy(direction.multiplyScalar(radius * CAMERA_FIT_DISTANCE));
+    camera.far = Math.max(100, radius * CAMERA_FIT_DISTANCE * 4);
+    camera.updateProjectionMatrix();
+    scene.fog.density = FOG_DENSITY * DEFAULT_GRID_SIZE / largest;
+}
+
+function setCameraView(name) {
+    const { name: label, dir } = CAMERA_VIEWS[name];
+    const target = getFrameTarget();
+    const distance = camera.position.distanceTo(controls.target);
+    const direction = new THREE.Vector3(...dir).normalize();
+    moveCamera(target, target.clone().add(direction.multiplyScalar(distance)));
+    updateMessage(`VIEW: ${label} 시점`);
+}
+
+function moveCamera(target, position) {
+    // Swing around the orbit target instead of cutting straight across, so the camera never dives through the board
+    cameraTransitionId += 1;
+    const transition = cameraTransitionId;
+    const startTarget = controls.target.clone();
+    const startOffset = camera.position.clone().sub(startTarget);
+    const endOffset = position.clone().sub(target);
+    const startDirection = startOffset.clone().normalize();
+    const turn = new THREE.Quaternion().setFromUnitVectors(startDirection, endOffset.clone().normalize());
+    const place = (progress) => {
+        const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - ((-2 * progress + 2) ** 3) / 2;
+        const distance = THREE.MathUtils.lerp(startOffset.length(), endOffset.length(), eased);
+        controls.target.lerpVectors(startTarget, target, eased);
+        camera.position.copy(startDirection)
+            .applyQuaternion(new THREE.Quaternion().slerp(turn, eased))
+            .multiplyScalar(distance)
+            .add(controls.target);
+        controls.update();
+    };
+
+    // Transitions follow the move animation setting, so automation that turns animations off gets instant views
+    const duration = moveAnimationMs > 0 && !isReducedMotion ? CAMERA_TRANSITION_MS : 0;
+    if (duration <= 0) {
+        place(1);
+        return;
+    }
+    const startTime = performance.now();
+    const step = (time) => {
+        if (transition !== cameraTransitionId) return;
+        const progress = Math.min(Math.max(0, time - startTime) / duration, 1);
+        place(progress);
+        if (progress < 1) requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+}
+
+function getFrameTarget() {
+    // Auto-framing centres the selected block, or the first exit still waiting for its core
+    if (!isAutoFrame) {
+        return new THREE.Vector3();
+    }
+    if (selectedBlock) {
+        const { gx, gy, gz } = selectedBlock.userData;
+        return getWorldPos(gx, gy, gz);
+    }
+    const exit = game.targets.find(({ x, y, z, channel = 0 }) => (
+        game.grid[x][y][z] !== BLOCK.CORE || game.getChannel(x, y, z) !== channel
+    )) || game.targets[0];
+    return getWorldPos(exit.x, exit.y, exit.z);
+}
+
+function frameView() {
+    // Keep the viewing angle and distance and only slide the point the camera orbits around
+    const target = getFrameTarget();
+    if (target.distanceToSquared(controls.target) < 1e-6) {
+        return;
+    }
+    moveCamera(target, camera.position.clone().add(target.clone().sub(controls.target)));
+}
+
+function toggleAutoFrame() {
+    isAutoFrame = !isAutoFrame;
+    saveData.settings = { ...saveData.settings, autoFrame: isAutoFrame };
+    writeSave();
+    ui.autoFrameBtn.classList.toggle('active', isAutoFrame);
+    frameView();
+    updateMessage(isAutoFrame
+        ? 'FRAME: 선택한 블록이나 탈출구를 화면 중심에 둡니다.'
+        : 'FRAME 꺼짐: 보드 중심을 기준으로 회전합니다.');
+}
+
+function updateViewCube() {
+    // The cube turns with the board as the camera sees it; CSS counts y downwards, so the y row and column flip
+    const { elements } = new THREE.Matrix4().makeRotationFromQuaternion(camera.quaternion.clone().invert());
+    [1, 4, 6, 9].forEach((index) => {
+        elements[index] = -elements[index];
     });
-    const glowMesh = new THREE.Mesh(glowGeo, glowMat);
-    targetZoneMesh.add(glowMesh);
+    ui.viewCubeBody.style.transform = `matrix3d(${elements.map((value) => value.toFixed(4)).join(',')})`;
+}
 
-    scene.add(targetZoneMesh);
+function getBlockColor(type, piece) {
+    if (piece) {
+        return PIECE_COLORS[(piece - 1) % PIECE_COLORS.length];
+    }
+    return PALETTE_ROLES[type] ? PALETTES[paletteName][PALETTE_ROLES[type]] : BLOCK_VISUALS[type].color;
 }
 
-function createEmptyGrid() {
-    const grid = [];
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-        grid[x] = [];
-        for (let y = 0; y < GRID_SIZE; y += 1) {
-            grid[x][y] = [];
-            for (let z = 0; z < GRID_SIZE; z += 1) {
-                grid[x][y][z] = 0;
-            }
+function getChannelColor(channel) {
+    return PALETTES[paletteName].channels[channel - 1];
+}
+
+const cueTextures = new Map();
+
+function getCueTexture(type) {
+    // Shape cues are drawn darker than the face, so they read on any palette; without a 2D canvas there are none
+    if (!cueTextures.has(type)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        if (!context) {
+            cueTextures.set(type, null);
+            return null;
         }
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, 64, 64);
+        context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        context.strokeStyle = 'rgba(0, 0, 0, 0.55)';
+        context.lineWidth = 8;
+        context.beginPath();
+        if (type === BLOCK.CORE) {
+            context.arc(32, 32, 16, 0, Math.PI * 2);
+            context.fill();
+        } else if (type === BLOCK.KEY) {
+            context.moveTo(32, 12);
+            context.lineTo(52, 32);
+            context.lineTo(32, 52);
+            context.lineTo(12, 32);
+            context.fill();
+        } else if (type === BLOCK.FIREWALL) {
+            context.moveTo(14, 14);
+            context.lineTo(50, 50);
+            context.moveTo(50, 14);
+            context.lineTo(14, 50);
+            context.stroke();
+        } else {
+            [20, 32, 44].forEach((y) => {
+                context.moveTo(12, y);
+                context.lineTo(52, y);
+            });
+            context.stroke();
+        }
+        cueTextures.set(type, new THREE.CanvasTexture(canvas));
+    }
+    return cueTextures.get(type);
+}
+
+function createTargetZones() {
+    targetZoneMeshes.forEach((mesh) => scene.remove(mesh));
+    // Coloured exits take the colour of the cores they accept
+    targetZoneMeshes = game.targets.map((target) => {
+        const color = target.channel ? getChannelColor(target.channel) : PALETTES[paletteName].exit;
+        const geometry = new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE);
+        const edges = new THREE.EdgesGeometry(geometry);
+        const zone = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
+            color,
+            linewidth: 2,
+            transparent: true,
+            opacity: 0.8
+        }));
+
+        const glowGeo = new THREE.BoxGeometry(BLOCK_SIZE * 0.8, BLOCK_SIZE * 0.8, BLOCK_SIZE * 0.8);
+        const glowMat = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.1,
+            wireframe: true
+        });
+        const glowMesh = new THREE.Mesh(glowGeo, glowMat);
+        zone.add(glowMesh);
+
+        zone.position.copy(getWorldPos(target.x, target.y, target.z));
+        scene.add(zone);
+        return zone;
+    });
+}
+
+// Generated sectors always come from the worker, the first board of a session and API loads included
+function loadLevel(index, seed) {
+    if (!activePack && index >= LEVELS.length) {
+        generateInBackground({ levelNum: index + 1, seed }, (level) => enterLevel(index, level));
+        return;
     }
-    return grid;
+    enterLevel(index, activePack ? activePack.levels[index] : LEVELS[index]);
 }
 
-function loadLevel(index) {
+function enterLevel(index, level) {
     currentLevelIndex = index;
-    localStorage.setItem(PROGRESS_KEY, currentLevelIndex);
+    getProgress().current = currentLevelIndex;
+    writeSave();
+    closeReplayView();
+    isPlaytest = false;
+    startLevel(level);
+}
 
-    let level;
-    if (index < LEVELS.length) {
-        level = LEVELS[index];
-    } else {
-        level = LevelGenerator.generate(index + 1);
+function loadDaily() {
+    // Dailies stand apart from the campaign: they never move its position or unlock anything
+    const key = DailyChallenge.getKey();
+    if (!dailyLevels.has(key)) {
+        generateInBackground({ daily: key }, (level) => {
+            dailyLevels.set(key, level);
+            enterDaily(level);
+        });
+        return;
+    }
+    enterDaily(dailyLevels.get(key));
+}
+
+function enterDaily(level) {
+    closeReplayView();
+    isPlaytest = false;
+    startLevel(level);
+}
+
+function generateInBackground(job, onLevel) {
+    generationId += 1;
+    const id = generationId;
+    pendingGeneration = id;
+    document.body.classList.add('generating');
+    updateMessage(`${job.daily ? `Daily ${job.daily}` : `Sector ${job.levelNum}`} 생성 중...`);
+    runGeneration(job).then((level) => {
+        if (pendingGeneration === id) {
+            onLevel(level);
+        }
+    }, (error) => {
+        if (pendingGeneration === id) {
+            finishGeneration();
+            updateMessage(`생성에 실패했습니다: ${error.message}`);
+            // With no board to fall back on, the loader is the only thing on screen
+            if (!game) {
+                document.getElementById('loader').textContent = `생성에 실패했습니다: ${error.message}`;
+            }
+            flushIdleResolvers();
+        }
+    });
+}
+
+function finishGeneration() {
+    pendingGeneration = null;
+    document.body.classList.remove('generating');
+}
+
+function runGeneration(job) {
+    return runInWorker(job, () => (job.daily ? DailyChallenge.generate(job.daily) : LevelGenerator.generate(job.levelNum, job.seed)));
+}
+
+function runInWorker(job, run) {
+    // Without workers (or when the worker fails to load) the search runs here, after the loading message has painted
+    const runHere = () => new Promise((resolve) => {
+        setTimeout(resolve, 0);
+    }).then(run);
+    if (generatorWorker === null && typeof Worker !== 'undefined') {
+        try {
+            generatorWorker = new Worker(new URL('./generator-worker.js', import.meta.url), { type: 'module' });
+        } catch {
+            generatorWorker = false;
+        }
     }
-    targetPos = { ...level.target };
+    if (!generatorWorker) {
+        return runHere();
+    }
+    const worker = generatorWorker;
+    workerJobId += 1;
+    const id = workerJobId;
+    return new Promise((resolve, reject) => {
+        const onMessage = ({ data }) => {
+            if (data.id !== id) {
+                return;
+            }
+            cleanup();
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data.result);
+            }
+        };
+        const onError = (event) => {
+            event.preventDefault();
+            cleanup();
+            generatorWorker = false;
+            worker.terminate();
+            resolve(runHere());
+        };
+        const cleanup = () => {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+        };
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage({ ...job, id });
+    });
+}
+
+function startLevel(level) {
+    // Whatever starts now supersedes a sector still being generated
+    finishGeneration();
+    closeEditorView();
+    archiveAttempt();
+    currentLevel = level;
+    game = new GameState(level);
     moveCount = 0;
-    moveHistory = [];
+    attemptLog = [];
+    hintCache = new Map();
+    levelStartTime = performance.now();
 
     ui.modal.classList.remove('show');
+    ui.lockdownModal.classList.remove('show');
     isGameClear = false;
+    isLockdown = false;
 
+    resetLayerView();
     blocks.forEach((block) => scene.remove(block));
     blocks = [];
-    gridData = createEmptyGrid();
-
-    level.blocks.forEach((block) => {
-        if (!isInBounds(block.x, block.y, block.z)) {
-            return;
-        }
-        gridData[block.x][block.y][block.z] = block.type;
-    });
+    setGridSize(game.size);
 
-    targetZoneMesh.position.copy(getWorldPos(targetPos.x, targetPos.y, targetPos.z));
+    createTargetZones();
     createBlocksFromGrid();
+    createTileMeshes();
     deselect();
 
     isXRayMode = false;
@@ -631,17 +1175,1009 @@ function loadLevel(index) {
 
     currentLevelName = level.name;
     updateStats();
-    updateMessage(`${currentLevelName} - 코어를 탈출구로 이동하세요.`);
+    selectSlice(sliceAxis, sliceLayer);
+    updateMessage(getLevelMessage());
+    emitApiEvent('levelchange', { id: level.id, name: level.name, index: currentLevelIndex, pack: activePack ? activePack.id : null });
+    flushIdleResolvers();
 }
 
-function resetLevel() {
-    loadLevel(currentLevelIndex);
+function getLevelMessage() {
+    let rules = '';
+    const tileTypes = new Set(game.tiles.map((tile) => tile.type));
+    if (tileTypes.has(BLOCK.PORTAL)) {
+        rules += ' PORTAL: 같은 색 포탈끼리 연결됩니다.';
+    }
+    if (tileTypes.has(BLOCK.LOCK)) {
+        rules += ' KEY: 키 블록을 패드에 올리면 같은 색 잠금이 열립니다.';
+    }
+    if (tileTypes.has(BLOCK.TIMER)) {
+        rules += ' TIMER: 타이머 방화벽은 정해진 수마다 열리고 닫힙니다.';
+    }
+    if (game.pieceGrid.some((plane) => plane.some((row) => row.some(Boolean)))) {
+        rules += ' PIECE: 이어진 블록 조각은 한 덩어리로 움직입니다.';
+    }
+    if (game.rules.movement === 'slide') {
+        rules += ' ICE: 블록이 막힐 때까지 미끄러집니다.';
+    }
+    if (game.rules.push) {
+        rules += ' PUSH: 블록이 앞의 데이터 블록 줄을 밀어냅니다.';
+    }
+    if (game.rules.gravity) {
+        rules += ' GRAVITY: 받침이 없는 블록과 코어는 아래(-Y)로 떨어집니다.';
+    }
+    if (game.rules.rotate) {
+        rules += ' ROTATE: 한 층을 통째로 90° 돌릴 수 있으며 한 수로 셉니다.';
+    }
+    if (game.targets.some((target) => target.channel)) {
+        rules += ' COLOR: 색 테두리 코어는 같은 색 탈출구로만 나갈 수 있습니다.';
+    }
+    const goal = game.targets.length > 1
+        ? `코어 ${game.targets.length}개를 모두 탈출구로 이동하세요 (${game.getExtractedCount()}/${game.targets.length} 추출).`
+        : '코어를 탈출구로 이동하세요.';
+    return `${currentLevelName} - ${goal}${rules}`;
+}
+
+function resetLevel() {
+    if (isEditorMode) return;
+    if (isReplayMode) {
+        restartReplay();
+        return;
+    }
+    startLevel(currentLevel);
 }
 
 function nextLevel() {
+    if (isPlaytest) {
+        enterEditor();
+        return;
+    }
+    if (currentLevel.isCustom || currentLevel.daily) {
+        loadLevel(currentLevelIndex);
+        return;
+    }
+    if (activePack && currentLevelIndex + 1 >= activePack.levels.length) {
+        const packName = activePack.name;
+        closePack();
+        updateMessage(`${packName} 팩의 모든 레벨을 클리어했습니다!`);
+        return;
+    }
     loadLevel(currentLevelIndex + 1);
 }
 
+function copySeedLink() {
+    if (!currentLevel.seed) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', LevelGenerator.getSeedCode(currentLevel));
+    if (!navigator.clipboard) {
+        updateMessage(`공유 링크: ${url.toString()}`);
+        return;
+    }
+    navigator.clipboard.writeText(url.toString())
+        .then(() => updateMessage('시드 링크를 클립보드에 복사했습니다.'))
+        .catch(() => updateMessage(`공유 링크: ${url.toString()}`));
+}
+
+function createEmptySave() {
+    return {
+        version: SAVE_VERSION,
+        current: 0,
+        unlocked: 0,
+        levels: {},
+        packs: {},
+        daily: { history: {}, bestStreak: 0 },
+        settings: { cameraRelative: false, autoFrame: false, map: false, accessible: false, palette: 'default', cues: false }
+    };
+}
+
+function loadSave() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(SAVE_KEY));
+    } catch (error) {
+        data = null;
+    }
+
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        data = migrateLegacySave();
+        saveData = data;
+        writeSave();
+        localStorage.removeItem(PROGRESS_KEY);
+        localStorage.removeItem(STARS_KEY);
+    }
+    if (data.version < 2) {
+        migrateBestRuns(data.levels || {});
+    }
+    return { ...createEmptySave(), ...data, version: SAVE_VERSION };
+}
+
+function migrateBestRuns(levels) {
+    // v1 kept the fewest moves and the fastest time separately; the pair is the closest thing to a best run it has
+    Object.values(levels).forEach((record) => {
+        if (record.bestMoves) {
+            record.best = { moves: record.bestMoves, time: record.bestTime, ...(record.seed ? { seed: record.seed } : {}) };
+        }
+        delete record.bestMoves;
+        delete record.bestTime;
+        delete record.seed;
+    });
+}
+
+function migrateLegacySave() {
+    // v0 stored a bare level index plus a flat { levelId: stars } map
+    const save = createEmptySave();
+    const progress = parseInt(localStorage.getItem(PROGRESS_KEY), 10);
+    if (progress > 0) {
+        save.current = progress;
+        save.unlocked = progress;
+    }
+
+    let stars = {};
+    try {
+        stars = JSON.parse(localStorage.getItem(STARS_KEY)) || {};
+    } catch (error) {
+        stars = {};
+    }
+    Object.entries(stars).forEach(([id, value]) => {
+        save.levels[id] = { stars: value };
+    });
+    return save;
+}
+
+function writeSave() {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
+}
+
+function getProgress() {
+    // Packs keep their own position so playing one never moves the campaign
+    if (!activePack) {
+        return saveData;
+    }
+    if (!saveData.packs[activePack.id]) {
+        saveData.packs[activePack.id] = { current: 0, unlocked: 0 };
+    }
+    return saveData.packs[activePack.id];
+}
+
+function getRecordId(levelId) {
+    return activePack ? `${activePack.id}/${levelId}` : levelId;
+}
+
+function recordCompletion(level, { stars, moves, time }) {
+    const recordId = getRecordId(level.id);
+    const previous = saveData.levels[recordId];
+    // A generated sector's record belongs to one board, so clearing another seed of it starts over
+    const record = previous && (!level.seed || previous.best?.seed === level.seed) ? previous : {};
+    // The best run is kept whole (fewest moves, then fastest) along with its seed so the level select replays that board
+    const run = { moves, time: Math.round(time), ...(level.seed ? { seed: level.seed } : {}) };
+    if (!record.best || moves < record.best.moves || (moves === record.best.moves && run.time < record.best.time)) {
+        record.best = run;
+    }
+    record.stars = Math.max(record.stars || 0, stars);
+    saveData.levels[recordId] = record;
+    const progress = getProgress();
+    progress.unlocked = Math.max(progress.unlocked, currentLevelIndex + 1);
+    writeSave();
+    return record;
+}
+
+function recordDaily(level, { stars, moves, optimal, time }) {
+    // The first clear of the day is the official result; later clears are practice
+    const { history } = saveData.daily;
+    if (!history[level.daily]) {
+        history[level.daily] = { stars, moves, optimal, time: Math.round(time) };
+        saveData.daily.bestStreak = Math.max(saveData.daily.bestStreak, DailyChallenge.getStreak(history, level.daily));
+        writeSave();
+    }
+    return history[level.daily];
+}
+
+function getDailyShareText(key) {
+    // Only totals are shared, never a move, so the text spoils nothing
+    const { stars, moves, optimal, time } = saveData.daily.history[key];
+    const streak = DailyChallenge.getStreak(saveData.daily.history, key);
+    return [
+        `CORE HACKER DAILY ${key}`,
+        `${formatStars(stars)} ${moves}수 / 최적 ${optimal}수 · ${formatTime(time)}`,
+        `연속 ${streak}일`
+    ].join('\n');
+}
+
+function shareDaily(key, button) {
+    if (!key || !saveData.daily.history[key]) return;
+
+    const text = getDailyShareText(key);
+    if (!navigator.clipboard) {
+        updateMessage(`공유 결과: ${text.replace(/\n/g, ' · ')}`);
+        return;
+    }
+    navigator.clipboard.writeText(text)
+        .then(() => {
+            button.textContent = 'COPIED';
+            updateMessage('데일리 결과를 클립보드에 복사했습니다.');
+        })
+        .catch(() => updateMessage(`공유 결과: ${text.replace(/\n/g, ' · ')}`));
+}
+
+function renderDailyPanel() {
+    const key = DailyChallenge.getKey();
+    const { history, bestStreak } = saveData.daily;
+    const today = history[key];
+    const streak = DailyChallenge.getStreak(history, key);
+    ui.dailyInfo.textContent = `DAILY ${key} · ${today ? `CLEAR ${today.moves} MOVES` : '미완료'} · STREAK ${streak} (BEST ${bestStreak})`;
+    ui.dailyShareBtn.disabled = !today;
+    ui.dailyShareBtn.textContent = 'SHARE';
+    ui.dailyHistory.replaceChildren(...Array.from({ length: DAILY_HISTORY_DAYS }, (_, index) => {
+        const day = DailyChallenge.shiftKey(key, index - DAILY_HISTORY_DAYS + 1);
+        const record = history[day];
+        const cell = document.createElement('span');
+        cell.className = 'daily-day';
+        cell.classList.toggle('cleared', Boolean(record));
+        cell.textContent = day.slice(5);
+        cell.title = record ? `${record.moves}수 · ${formatStars(record.stars)}` : '기록 없음';
+        return cell;
+    }));
+}
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function getLevelEntries() {
+    const progress = getProgress();
+    const source = activePack ? activePack.levels : LEVELS;
+    const count = activePack
+        ? source.length
+        : Math.max(LEVELS.length, progress.unlocked + 1, currentLevelIndex + 1);
+    const entries = [];
+    for (let index = 0; index < count; index += 1) {
+        const handmade = source[index];
+        const id = handmade ? handmade.id : `gen-${index + 1}`;
+        entries.push({
+            index,
+            id,
+            name: handmade ? handmade.name : `Sector ${index + 1}`,
+            locked: index > progress.unlocked && index !== currentLevelIndex,
+            record: saveData.levels[getRecordId(id)] || null
+        });
+    }
+    return entries;
+}
+
+function showLevelSelect() {
+    ui.levelList.replaceChildren(...getLevelEntries().map((entry) => {
+        const item = document.createElement('button');
+        item.className = 'level-card';
+        item.disabled = entry.locked;
+        if (entry.locked) item.classList.add('locked');
+        if (entry.index === currentLevelIndex) item.classList.add('current');
+
+        const title = document.createElement('div');
+        title.className = 'level-card-title';
+        title.textContent = `${entry.index + 1}. ${entry.name}`;
+
+        const stars = document.createElement('div');
+        stars.className = 'level-card-stars';
+        stars.textContent = entry.locked ? 'LOCKED' : formatStars(entry.record?.stars || 0);
+
+        const detail = document.createElement('div');
+        detail.className = 'level-card-detail';
+        detail.textContent = entry.record?.best
+            ? `BEST ${entry.record.best.moves} MOVES · ${formatTime(entry.record.best.time)}`
+            : entry.locked ? '이전 레벨을 클리어하세요' : '기록 없음';
+
+        item.append(title, stars, detail);
+        item.addEventListener('click', () => {
+            hideLevelSelect();
+            loadLevel(entry.index, entry.record?.best?.seed);
+        });
+        return item;
+    }));
+    ui.packInfo.textContent = activePack
+        ? `PACK: ${activePack.name}${activePack.author ? ` · ${activePack.author}` : ''}`
+        : 'CAMPAIGN';
+    ui.packCloseBtn.hidden = !activePack;
+    renderDailyPanel();
+    ui.levelSelect.classList.add('show');
+}
+
+function hideLevelSelect() {
+    ui.levelSelect.classList.remove('show');
+}
+
+function setupEditor() {
+    editorMarkerGroup = new THREE.Group();
+    editorMarkerGroup.visible = false;
+    scene.add(editorMarkerGroup);
+
+    ui.editorPanel.querySelectorAll('[data-tool]').forEach((button) => {
+        button.addEventListener('click', () => setEditorTool(button.dataset.tool));
+    });
+    ui.editorName.addEventListener('input', () => {
+        editorLevel.name = ui.editorName.value.trim();
+    });
+    ui.editorLimit.addEventListener('input', () => {
+        editorLevel.moveLimit = parseInt(ui.editorLimit.value, 10) || 0;
+    });
+    // Every rule checkbox rebuilds the board's rules, so the editor board never plays by stale ones
+    const onRuleChange = () => {
+        editorLevel.push = ui.editorPush.checked;
+        editorLevel.movement = ui.editorSlide.checked ? 'slide' : 'step';
+        editorLevel.gravity = ui.editorGravity.checked;
+        editorLevel.rotate = ui.editorRotate.checked;
+        game.rules = getLevelRules(editorLevel);
+        refreshEditorBoard();
+    };
+    [ui.editorPush, ui.editorSlide, ui.editorGravity, ui.editorRotate].forEach((input) => {
+        input.addEventListener('change', onRuleChange);
+    });
+    ui.editorSize.forEach((input) => input.addEventListener('change', resizeEditorBoard));
+    document.getElementById('editor-clear-btn').addEventListener('click', clearEditorBoard);
+    document.getElementById('editor-validate-btn').addEventListener('click', () => reportEditorValidation());
+    document.getElementById('editor-play-btn').addEventListener('click', playtestEditorLevel);
+    document.getElementById('editor-export-btn').addEventListener('click', exportEditorLevel);
+    document.getElementById('editor-import-btn').addEventListener('click', importEditorLevel);
+    document.getElementById('editor-exit-btn').addEventListener('click', exitEditor);
+}
+
+function toggleEditor() {
+    if (isEditorMode) {
+        exitEditor();
+    } else {
+        enterEditor();
+    }
+}
+
+function enterEditor() {
+    if (isAnimating || isReplayMode) return;
+
+    if (!isPlaytest) {
+        editorReturn = { index: currentLevelIndex, level: currentLevel };
+    }
+    if (!editorLevel) {
+        editorLevel = {
+            id: 'custom',
+            name: `${currentLevel.name} (Custom)`,
+            moveLimit: currentLevel.moveLimit,
+            push: game.rules.push,
+            movement: game.rules.movement,
+            gravity: game.rules.gravity,
+            rotate: game.rules.rotate,
+            size: getLevelSize(currentLevel),
+            targets: getLevelTargets(currentLevel),
+            blocks: currentLevel.blocks.map((block) => ({ ...block }))
+        };
+    }
+
+    isEditorMode = true;
+    isPlaytest = false;
+    isGameClear = false;
+    isLockdown = false;
+    ui.modal.classList.remove('show');
+    ui.lockdownModal.classList.remove('show');
+    ui.editorBtn.classList.add('active');
+    ui.editorPanel.hidden = false;
+    ui.editorName.value = editorLevel.name;
+    ui.editorLimit.value = editorLevel.moveLimit;
+    ui.editorPush.checked = editorLevel.push === true;
+    ui.editorSlide.checked = editorLevel.movement === 'slide';
+    ui.editorGravity.checked = editorLevel.gravity === true;
+    ui.editorRotate.checked = editorLevel.rotate === true;
+    moveCount = 0;
+
+    resetLayerView();
+    loadEditorGrid();
+    refreshEditorBoard();
+    deselect();
+    updateRotatePanel();
+    setEditorTool(editorTool);
+    updateUndoState();
+    updateMessage('EDITOR - 셀을 클릭해 블록을 배치하거나 제거하세요.');
+}
+
+function loadEditorGrid() {
+    const size = getLevelSize(editorLevel);
+    ui.editorSize.forEach((input, index) => {
+        input.value = size[['x', 'y', 'z'][index]];
+    });
+    setGridSize(size);
+    // The editor keeps blocks where they were placed; only its gravity preview and playtests let them fall
+    game = new GameState({ ...editorLevel, gravity: false });
+    game.rules = getLevelRules(editorLevel);
+}
+
+function resizeEditorBoard() {
+    const clamp = (input) => Math.min(MAX_GRID_SIZE, Math.max(1, parseInt(input.value, 10) || DEFAULT_GRID_SIZE));
+    const [x, y, z] = ui.editorSize.map(clamp);
+    const size = { x, y, z };
+    const kept = editorLevel.blocks.filter((block) => isInBounds(block.x, block.y, block.z, size));
+    const dropped = editorLevel.blocks.length - kept.length;
+
+    editorLevel.size = size;
+    editorLevel.blocks = kept;
+    editorLevel.targets = getLevelTargets(editorLevel).map((target) => ({
+        ...target,
+        x: Math.min(target.x, x - 1),
+        y: Math.min(target.y, y - 1),
+        z: Math.min(target.z, z - 1)
+    }));
+    delete editorLevel.target;
+    loadEditorGrid();
+    refreshEditorBoard();
+    ui.editorStatus.classList.remove('error');
+    ui.editorStatus.textContent = dropped > 0
+        ? `${x}×${y}×${z}로 변경 · 범위를 벗어난 블록 ${dropped}개 제거`
+        : `${x}×${y}×${z}로 변경`;
+}
+
+function exitEditor() {
+    if (!isEditorMode && !isPlaytest) return;
+
+    isPlaytest = false;
+    currentLevelIndex = editorReturn.index;
+    startLevel(editorReturn.level);
+}
+
+function closeEditorView() {
+    isEditorMode = false;
+    ui.editorBtn.classList.toggle('active', isPlaytest);
+    ui.editorPanel.hidden = true;
+    editorMarkerGroup.visible = false;
+}
+
+function setEditorTool(tool) {
+    editorTool = tool;
+    ui.editorPanel.querySelectorAll('[data-tool]').forEach((button) => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+}
+
+function refreshEditorBoard() {
+    blocks.forEach((block) => scene.remove(block));
+    blocks = [];
+    game.context = PuzzleSolver.createContext(game.size, game.rules, game.tiles);
+    createBlocksFromGrid();
+    createTileMeshes();
+    createTargetZones();
+    updateXRayVisuals();
+
+    while (editorMarkerGroup.children.length > 0) {
+        editorMarkerGroup.remove(editorMarkerGroup.children[0]);
+    }
+    for (let x = 0; x < gridSize.x; x += 1) {
+        for (let y = 0; y < gridSize.y; y += 1) {
+            for (let z = 0; z < gridSize.z; z += 1) {
+                if (game.grid[x][y][z] !== 0) continue;
+                const marker = new THREE.Mesh(moveHintGeometry, moveHintMaterial.clone());
+                marker.material.opacity = 0.12;
+                marker.position.copy(getWorldPos(x, y, z));
+                marker.userData = { gx: x, gy: y, gz: z };
+                editorMarkerGroup.add(marker);
+            }
+        }
+    }
+    // Gravity previews a settled copy: cells that blocks will drop into are outlined, the layout itself stays as placed
+    if (game.rules.gravity) {
+        const settled = PuzzleSolver.decode(PuzzleSolver.settle(game.encode(), game.context, 0), game.size).grid;
+        editorMarkerGroup.children.forEach((marker) => {
+            const { gx, gy, gz } = marker.userData;
+            if (settled[gx][gy][gz] !== BLOCK.EMPTY) {
+                marker.material.opacity = EDITOR_LANDING_OPACITY;
+            }
+        });
+    }
+    editorMarkerGroup.visible = true;
+
+    editorLevel.blocks = [...getBlocksFromGrid(), ...game.tiles.map((tile) => ({ ...tile }))];
+    // The editor always keeps the exit list; exports fold a single plain exit back into `target`
+    editorLevel.targets = game.targets.map((target) => ({ ...target }));
+    delete editorLevel.target;
+}
+
+function getBlocksFromGrid() {
+    const result = [];
+    for (let x = 0; x < gridSize.x; x += 1) {
+        for (let y = 0; y < gridSize.y; y += 1) {
+            for (let z = 0; z < gridSize.z; z += 1) {
+                if (game.grid[x][y][z] !== 0) {
+                    const piece = game.getPiece(x, y, z);
+                    const channel = game.getChannel(x, y, z);
+                    result.push({ x, y, z, type: game.grid[x][y][z], ...(piece ? { piece } : {}), ...(channel ? { channel } : {}) });
+                }
+            }
+        }
+    }
+    return result;
+}
+
+function handleEditorPointer() {
+    const intersects = raycaster.intersectObjects([...blocks, ...tileMeshes, ...editorMarkerGroup.children], false);
+    if (intersects.length === 0) {
+        return false;
+    }
+
+    const { gx, gy, gz } = intersects[0].object.userData;
+    const current = game.grid[gx][gy][gz];
+    const tileIndex = game.tiles.findIndex((tile) => tile.x === gx && tile.y === gy && tile.z === gz);
+    const exitIndex = game.targets.findIndex((target) => target.x === gx && target.y === gy && target.z === gz);
+    const isExit = exitIndex !== -1;
+    const type = EDITOR_TOOL_TYPES[editorTool];
+    // With COLOR on, cores and exits take the current channel; otherwise they match any uncoloured partner
+    const channel = ui.editorColor.checked ? readEditorNumber(ui.editorChannel, MAX_CHANNELS) : 0;
+
+    if (editorTool === 'exit') {
+        if (current === BLOCK.FIREWALL) {
+            updateMessage('방화벽 위에는 탈출구를 둘 수 없습니다.');
+            return true;
+        }
+        if (tileIndex !== -1) {
+            updateMessage('타일 위에는 탈출구를 둘 수 없습니다.');
+            return true;
+        }
+        // Clicking an exit again removes it, or recolours it when the colour differs
+        const exit = { x: gx, y: gy, z: gz, ...(channel ? { channel } : {}) };
+        if (!isExit) {
+            game.targets.push(exit);
+        } else if ((game.targets[exitIndex].channel || 0) !== channel) {
+            game.targets[exitIndex] = exit;
+        } else if (game.targets.length > 1) {
+            game.targets.splice(exitIndex, 1);
+        } else {
+            updateMessage('탈출구는 1개 이상 있어야 합니다.');
+            return true;
+        }
+    } else if (editorTool === 'erase') {
+        game.grid[gx][gy][gz] = BLOCK.EMPTY;
+        game.pieceGrid[gx][gy][gz] = 0;
+        game.channelGrid[gx][gy][gz] = 0;
+        if (tileIndex !== -1) game.tiles.splice(tileIndex, 1);
+    } else if (BLOCK_TYPES[type].layer === 'tile') {
+        if (current !== BLOCK.EMPTY || isExit) {
+            updateMessage('타일은 탈출구가 아닌 빈 칸에만 둘 수 있습니다.');
+            return true;
+        }
+        // Clicking the same tile again removes it; anything else replaces what was there
+        const tile = createEditorTile(type, gx, gy, gz);
+        const replaced = tileIndex !== -1 ? game.tiles.splice(tileIndex, 1)[0] : null;
+        if (!replaced || JSON.stringify(replaced) !== JSON.stringify(tile)) {
+            game.tiles.push(tile);
+        }
+    } else {
+        if (tileIndex !== -1) {
+            updateMessage('타일이 있는 칸에는 블록을 둘 수 없습니다.');
+            return true;
+        }
+        if (type === BLOCK.FIREWALL && isExit) {
+            updateMessage('탈출구에는 방화벽을 둘 수 없습니다.');
+            return true;
+        }
+        // The PIECE tool paints DATA cells that join whichever piece id is selected
+        const piece = editorTool === 'piece' ? readEditorNumber(ui.editorPiece, MAX_PIECES) : 0;
+        const coreChannel = type === BLOCK.CORE ? channel : 0;
+        const isSame = current === type && game.pieceGrid[gx][gy][gz] === piece && game.channelGrid[gx][gy][gz] === coreChannel;
+        game.grid[gx][gy][gz] = isSame ? 0 : type;
+        game.pieceGrid[gx][gy][gz] = isSame ? 0 : piece;
+        game.channelGrid[gx][gy][gz] = isSame ? 0 : coreChannel;
+    }
+
+    refreshEditorBoard();
+    updateMessage(`EDITOR - [${gx}, ${gy}, ${gz}] 수정됨`);
+    return true;
+}
+
+function createEditorTile(type, x, y, z) {
+    const { channel, period } = BLOCK_TYPES[type];
+    return {
+        x,
+        y,
+        z,
+        type,
+        ...(channel ? { channel: readEditorNumber(ui.editorChannel, MAX_CHANNELS) } : {}),
+        ...(period ? { period: readEditorNumber(ui.editorPeriod, MAX_TIMER_PERIOD) } : {})
+    };
+}
+
+function readEditorNumber(input, max) {
+    return Math.min(max, Math.max(1, parseInt(input.value, 10) || 1));
+}
+
+function clearEditorBoard() {
+    game.grid = createEmptyGrid(gridSize);
+    game.pieceGrid = createEmptyGrid(gridSize);
+    game.channelGrid = createEmptyGrid(gridSize);
+    game.tiles = [];
+    refreshEditorBoard();
+    ui.editorStatus.textContent = '';
+}
+
+async function validateEditorLevel(level) {
+    const { errors } = validateLevelData(level, 'level');
+    if (errors.length > 0) {
+        return { errors, optimal: null };
+    }
+    if (new GameState(level).isExtracted()) {
+        return { errors: ['모든 코어가 이미 탈출구에 있습니다.'], optimal: null };
+    }
+
+    const result = await runInWorker({ solve: level }, () => PuzzleSolver.solveLevel(level));
+    if (result.status === 'aborted') {
+        errors.push('탐색 한도 안에서 해답을 찾지 못했습니다. 블록 수를 조정하세요.');
+    } else if (result.status !== 'solved') {
+        errors.push('해답이 없는 배치입니다.');
+    } else if (level.moveLimit < result.length) {
+        errors.push(`이동 한도(${level.moveLimit})가 최적 해(${result.length}수)보다 작습니다.`);
+    }
+    return { errors, optimal: result.status === 'solved' ? result.length : null };
+}
+
+async function reportEditorValidation() {
+    // Later edits may land while the worker solves, so the validated copy is what a playtest starts from
+    editorValidationId += 1;
+    const id = editorValidationId;
+    const level = {
+        ...editorLevel,
+        targets: editorLevel.targets.map((target) => ({ ...target })),
+        blocks: editorLevel.blocks.map((block) => ({ ...block }))
+    };
+    ui.editorStatus.classList.remove('error');
+    ui.editorStatus.textContent = '검증 중...';
+    const { errors, optimal } = await validateEditorLevel(level);
+    if (id !== editorValidationId || !isEditorMode) {
+        return null;
+    }
+    ui.editorStatus.classList.toggle('error', errors.length > 0);
+    ui.editorStatus.textContent = errors.length > 0
+        ? errors.join(' ')
+        : `검증 완료 · 최적 해 ${optimal}수 · 한도 ${level.moveLimit}`;
+    return errors.length === 0 ? { ...level, optimal } : null;
+}
+
+async function playtestEditorLevel() {
+    const level = await reportEditorValidation();
+    if (!level) return;
+
+    isPlaytest = true;
+    startLevel(level);
+    updateMessage(`PLAY TEST - ${level.name} · EDIT 버튼으로 에디터에 복귀`);
+}
+
+function exportEditorLevel() {
+    const text = JSON.stringify(serializeLevel(editorLevel), null, 2);
+    ui.editorJson.value = text;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).catch(() => {});
+    }
+    ui.editorStatus.classList.remove('error');
+    ui.editorStatus.textContent = 'JSON을 내보냈습니다.';
+}
+
+function importEditorLevel() {
+    let data;
+    try {
+        data = JSON.parse(ui.editorJson.value);
+    } catch (error) {
+        ui.editorStatus.classList.add('error');
+        ui.editorStatus.textContent = `JSON 파싱 실패: ${error.message}`;
+        return;
+    }
+    const { level, errors } = validateLevelData(data, 'level');
+    if (!level) {
+        ui.editorStatus.classList.add('error');
+        ui.editorStatus.textContent = errors.join(' ');
+        return;
+    }
+
+    editorLevel = level;
+    ui.editorName.value = editorLevel.name;
+    ui.editorLimit.value = editorLevel.moveLimit;
+    ui.editorPush.checked = editorLevel.push === true;
+    ui.editorSlide.checked = editorLevel.movement === 'slide';
+    ui.editorGravity.checked = editorLevel.gravity === true;
+    ui.editorRotate.checked = editorLevel.rotate === true;
+    loadEditorGrid();
+    refreshEditorBoard();
+    reportEditorValidation();
+}
+
+function loadPackFromText(text, source) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        reportPackErrors(source, [`JSON 파싱 실패: ${error.message}`]);
+        return;
+    }
+
+    const { pack, errors } = validateLevelPack(data);
+    if (!pack) {
+        reportPackErrors(source, errors);
+        return;
+    }
+
+    activePack = pack;
+    ui.packStatus.textContent = '';
+    const progress = getProgress();
+    loadLevel(Math.min(progress.current, pack.levels.length - 1));
+    hideLevelSelect();
+    updateMessage(`${pack.name} 팩을 불러왔습니다 (${pack.levels.length}개 레벨).`);
+}
+
+function reportPackErrors(source, errors) {
+    ui.packStatus.textContent = [`${source}:`, ...errors].join('\n');
+    showLevelSelect();
+    updateMessage('레벨 팩을 불러오지 못했습니다.');
+}
+
+function readPackFile(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => loadPackFromText(reader.result, file.name));
+    reader.addEventListener('error', () => reportPackErrors(file.name, ['파일을 읽을 수 없습니다.']));
+    reader.readAsText(file);
+}
+
+function onPackDrop(event) {
+    event.preventDefault();
+    const file = event.dataTransfer && event.dataTransfer.files[0];
+    if (file) {
+        readPackFile(file);
+    }
+}
+
+function fetchPack(path) {
+    let url;
+    try {
+        url = new URL(path, window.location.href);
+    } catch (error) {
+        reportPackErrors(path, ['잘못된 URL입니다.']);
+        return;
+    }
+    if (url.origin !== window.location.origin) {
+        reportPackErrors(path, ['같은 출처(origin)의 파일만 불러올 수 있습니다.']);
+        return;
+    }
+
+    fetch(url)
+        .then((response) => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.text();
+        })
+        .then((text) => loadPackFromText(text, path))
+        .catch((error) => reportPackErrors(path, [`불러오기 실패: ${error.message}`]));
+}
+
+function closePack() {
+    if (!activePack) return;
+    activePack = null;
+    hideLevelSelect();
+    loadLevel(saveData.current);
+}
+
+function setupReplay() {
+    ui.replayBtn.addEventListener('click', () => {
+        if (isReplayMode) closeReplay();
+        else openReplay(getReplayableAttempt());
+    });
+    ui.replayPlayBtn.addEventListener('click', toggleReplayPlayback);
+    document.getElementById('replay-step-btn').addEventListener('click', stepReplayManually);
+    document.getElementById('replay-back-btn').addEventListener('click', stepReplayBack);
+    document.getElementById('replay-restart-btn').addEventListener('click', restartReplay);
+    document.getElementById('replay-export-btn').addEventListener('click', exportReplay);
+    document.getElementById('replay-import-btn').addEventListener('click', importReplay);
+    document.getElementById('replay-close-btn').addEventListener('click', closeReplay);
+}
+
+function recordAttemptMove({ from, axis, dir, layer }) {
+    const t = Math.round(performance.now() - levelStartTime);
+    attemptLog.push(layer !== undefined ? { axis, layer, dir, t } : { ...from, axis, dir, t });
+}
+
+function archiveAttempt() {
+    if (isReplayMode || attemptLog.length === 0) return;
+    lastAttempt = { level: currentLevel, moves: attemptLog };
+}
+
+function getReplayableAttempt() {
+    if (attemptLog.length > 0) {
+        return { level: currentLevel, moves: attemptLog.slice() };
+    }
+    return lastAttempt;
+}
+
+function openReplay(attempt) {
+    if (isAnimating || isEditorMode) return;
+
+    archiveAttempt();
+    if (!isReplayMode) {
+        replayReturn = { index: currentLevelIndex, level: currentLevel };
+    }
+    stopReplayPlayback();
+    isReplayMode = true;
+    replay = {
+        level: attempt ? attempt.level : currentLevel,
+        moves: attempt ? attempt.moves : [],
+        index: 0,
+        playing: false,
+        timer: null
+    };
+    ui.replayBtn.classList.add('active');
+    ui.replayPanel.hidden = false;
+    setReplayStatus('');
+
+    startLevel(replay.level);
+    updateReplayUi();
+    updateMessage(replay.moves.length > 0
+        ? `REPLAY - ${replay.level.name} · ${replay.moves.length}수 기록`
+        : 'REPLAY - 재생할 기록이 없습니다. JSON을 붙여넣고 IMPORT하세요.');
+}
+
+function closeReplay() {
+    if (!isReplayMode || isAnimating) return;
+    closeReplayView();
+    currentLevelIndex = replayReturn.index;
+    startLevel(replayReturn.level);
+}
+
+function closeReplayView() {
+    stopReplayPlayback();
+    isReplayMode = false;
+    replay = null;
+    ui.replayBtn.classList.remove('active');
+    ui.replayPanel.hidden = true;
+}
+
+function restartReplay() {
+    if (!isReplayMode || isAnimating) return;
+    stopReplayPlayback();
+    replay.index = 0;
+    startLevel(replay.level);
+    updateReplayUi();
+}
+
+function getReplaySpeed() {
+    return parseFloat(ui.replaySpeed.value) || 1;
+}
+
+function toggleReplayPlayback() {
+    if (!isReplayMode) return;
+    if (replay.playing) {
+        stopReplayPlayback();
+        updateReplayUi();
+        return;
+    }
+    if (replay.moves.length === 0) return;
+    if (replay.index >= replay.moves.length) {
+        restartReplay();
+    }
+    replay.playing = true;
+    updateReplayUi();
+    if (!isAnimating) {
+        stepReplay();
+    }
+}
+
+function stopReplayPlayback() {
+    if (!replay) return;
+    replay.playing = false;
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    flushIdleResolvers();
+}
+
+function stepReplayManually() {
+    if (!isReplayMode) return;
+    stopReplayPlayback();
+    stepReplay();
+    updateReplayUi();
+}
+
+function stepReplay() {
+    if (!isReplayMode || isAnimating || replay.index >= replay.moves.length) return;
+
+    const move = replay.moves[replay.index];
+    const mesh = move.layer === undefined ? findBlockAt(move.x, move.y, move.z) : null;
+    if (move.layer === undefined && !mesh) {
+        stopReplayPlayback();
+        updateReplayUi();
+        setReplayStatus(`${replay.index + 1}번째 이동을 재생할 수 없습니다.`, true);
+        return;
+    }
+    if (mesh) {
+        selectBlock(mesh);
+    } else {
+        selectSlice(move.axis, move.layer);
+    }
+    if (mesh ? !moveBlock(mesh, move.axis, move.dir) : !rotateSlice(move.axis, move.layer, move.dir)) {
+        stopReplayPlayback();
+        updateReplayUi();
+        setReplayStatus(`${replay.index + 1}번째 이동을 재생할 수 없습니다.`, true);
+        return;
+    }
+    replay.index += 1;
+    updateReplayUi();
+}
+
+function stepReplayBack() {
+    if (!isReplayMode || isAnimating || replay.index === 0) return;
+    stopReplayPlayback();
+
+    const lastMove = game.undo();
+    if (!lastMove) return;
+    replay.index -= 1;
+    if (lastMove.layer !== undefined) {
+        selectSlice(lastMove.axis, lastMove.layer);
+    } else {
+        selectBlock(findBlockAt(lastMove.to.x, lastMove.to.y, lastMove.to.z));
+    }
+    applyMove(lastMove, false);
+    updateReplayUi();
+}
+
+function onReplayMoveComplete(reachedExit) {
+    if (!replay) return;
+
+    if (reachedExit) {
+        stopReplayPlayback();
+        updateReplayUi();
+        updateMessage(`REPLAY - 코어 추출 완료 · ${moveCount}수`);
+        return;
+    }
+    if (replay.index >= replay.moves.length) {
+        stopReplayPlayback();
+        updateReplayUi();
+        updateMessage(`REPLAY - 기록 끝 · ${moveCount}수`);
+        return;
+    }
+    if (!replay.playing) return;
+
+    // Keep the recorded rhythm but clamp long pauses and near-instant bursts
+    const gap = replay.moves[replay.index].t - replay.moves[replay.index - 1].t;
+    const delay = Math.min(REPLAY_MAX_GAP, Math.max(REPLAY_MIN_GAP, gap)) / getReplaySpeed();
+    replay.timer = setTimeout(() => {
+        replay.timer = null;
+        stepReplay();
+    }, delay);
+}
+
+function updateReplayUi() {
+    if (!replay) return;
+    ui.replayProgress.textContent = `MOVE ${replay.index} / ${replay.moves.length}`;
+    ui.replayPlayBtn.textContent = replay.playing ? 'PAUSE' : 'PLAY';
+    ui.replayPlayBtn.classList.toggle('active', replay.playing);
+    updateUndoState();
+}
+
+function setReplayStatus(text, isError = false) {
+    ui.replayStatus.classList.toggle('error', isError);
+    ui.replayStatus.textContent = text;
+}
+
+function exportReplay() {
+    if (!replay || replay.moves.length === 0) {
+        setReplayStatus('내보낼 기록이 없습니다.', true);
+        return;
+    }
+    const text = serializeReplay(replay);
+    ui.replayJson.value = text;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).catch(() => {});
+    }
+    setReplayStatus('리플레이를 내보냈습니다.');
+}
+
+function importReplay() {
+    if (isAnimating) return;
+    const { attempt, errors } = parseReplay(ui.replayJson.value);
+    if (!attempt) {
+        setReplayStatus(errors.join(' '), true);
+        return;
+    }
+    openReplay(attempt);
+    setReplayStatus(`${attempt.moves.length}수 기록을 불러왔습니다.`);
+}
+
 function showIntro() {
     ui.introModal.classList.add('show');
 }
@@ -651,10 +2187,19 @@ function hideIntro() {
 }
 
 function updateStats() {
-    const level = currentLevelIndex < LEVELS.length ? LEVELS[currentLevelIndex] : null;
-    ui.levelText.textContent = `${currentLevelIndex + 1}`;
+    extractedCount = game.getExtractedCount();
+    ui.legendCore.textContent = game.targets.length > 1 ? `CORE ${extractedCount}/${game.targets.length}` : 'CORE';
+    ui.levelText.textContent = isPlaytest ? 'TEST' : currentLevel.daily ? 'DAILY' : currentLevel.isCustom ? 'CUSTOM' : `${currentLevelIndex + 1}`;
+    ui.modalButton.textContent = isPlaytest ? 'BACK TO EDITOR' : currentLevel.daily ? 'CONTINUE' : 'NEXT LEVEL';
+
+    if (currentLevel.seed) {
+        ui.seedStat.hidden = false;
+        ui.seedText.textContent = LevelGenerator.getSeedCode(currentLevel);
+    } else {
+        ui.seedStat.hidden = true;
+    }
 
-    const limit = level ? level.moveLimit : Math.floor((5 + (currentLevelIndex + 1) * 1.5) * 1.5);
+    const limit = currentLevel.moveLimit;
     const limitText = limit ? `/${limit}` : '';
     ui.moveText.textContent = `${moveCount}${limitText}`;
 
@@ -668,21 +2213,33 @@ function updateStats() {
 
 function createBlocksFromGrid() {
     const geometry = new RoundedBoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE, 4, 0.1);
-
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-        for (let y = 0; y < GRID_SIZE; y += 1) {
-            for (let z = 0; z < GRID_SIZE; z += 1) {
-                const type = gridData[x][y][z];
-                if (type === 0) continue;
-
-                const color = type === 2 ? COLOR_CORE : type === 3 ? COLOR_FIREWALL : COLOR_NORMAL;
-                const material = new THREE.MeshStandardMaterial({
-                    color,
-                    roughness: type === 3 ? 0.8 : 0.3,
-                    metalness: type === 3 ? 0.2 : 0.7,
+    const bridge = BLOCK_SIZE * 0.6;
+    const bridgeGeometries = [
+        new THREE.BoxGeometry(GAP * 2, bridge, bridge),
+        new THREE.BoxGeometry(bridge, GAP * 2, bridge),
+        new THREE.BoxGeometry(bridge, bridge, GAP * 2)
+    ];
+    // Cells of one piece share a material, so selection and X-RAY always treat the piece as a whole
+    const pieceMaterials = new Map();
+
+    for (let x = 0; x < gridSize.x; x += 1) {
+        for (let y = 0; y < gridSize.y; y += 1) {
+            for (let z = 0; z < gridSize.z; z += 1) {
+                const type = game.grid[x][y][z];
+                if (type === BLOCK.EMPTY) continue;
+
+                const piece = game.getPiece(x, y, z);
+                const channel = game.getChannel(x, y, z);
+                const { roughness, metalness } = BLOCK_VISUALS[type];
+                const material = pieceMaterials.get(piece) || new THREE.MeshStandardMaterial({
+                    color: getBlockColor(type, piece),
+                    map: isShapeCues ? getCueTexture(type) : null,
+                    roughness,
+                    metalness,
                     transparent: true,
                     opacity: 1
                 });
+                if (piece) pieceMaterials.set(piece, material);
 
                 const mesh = new THREE.Mesh(geometry, material);
                 mesh.position.copy(getWorldPos(x, y, z));
@@ -691,8 +2248,26 @@ function createBlocksFromGrid() {
                     gy: y,
                     gz: z,
                     type,
+                    piece,
+                    channel,
                     originalColor: material.color.clone()
                 };
+                // Coloured cores wear the colour of the exits that accept them as an outline
+                if (channel) {
+                    mesh.add(new THREE.LineSegments(
+                        new THREE.EdgesGeometry(new THREE.BoxGeometry(BLOCK_SIZE * 1.04, BLOCK_SIZE * 1.04, BLOCK_SIZE * 1.04)),
+                        new THREE.LineBasicMaterial({ color: getChannelColor(channel) })
+                    ));
+                }
+                // Bridges fill the gap towards the next cell of the same piece and travel with this cell
+                if (piece) {
+                    [[1, 0, 0], [0, 1, 0], [0, 0, 1]].forEach(([dx, dy, dz], axis) => {
+                        if (game.getPiece(x + dx, y + dy, z + dz) !== piece) return;
+                        const link = new THREE.Mesh(bridgeGeometries[axis], material);
+                        link.position.set(dx, dy, dz).multiplyScalar(TOTAL_SIZE / 2);
+                        mesh.add(link);
+                    });
+                }
 
                 scene.add(mesh);
                 blocks.push(mesh);
@@ -701,6 +2276,70 @@ function createBlocksFromGrid() {
     }
 }
 
+function createTileMeshes() {
+    tileMeshes.forEach((mesh) => scene.remove(mesh));
+    tileMeshes = game.tiles.map((tile) => {
+        const mesh = createTileMesh(tile);
+        mesh.position.copy(getWorldPos(tile.x, tile.y, tile.z));
+        mesh.userData = { gx: tile.x, gy: tile.y, gz: tile.z, type: tile.type, tile };
+        scene.add(mesh);
+        return mesh;
+    });
+    updateTileVisuals();
+}
+
+function createTileMesh(tile) {
+    const color = tile.channel ? getChannelColor(tile.channel) : BLOCK_VISUALS[tile.type].color;
+    const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6, depthWrite: false });
+    if (tile.type === BLOCK.PAD) {
+        const pad = new THREE.Mesh(new THREE.BoxGeometry(BLOCK_SIZE * 0.9, BLOCK_SIZE * 0.08, BLOCK_SIZE * 0.9), material);
+        pad.geometry.translate(0, -BLOCK_SIZE * 0.46, 0);
+        return pad;
+    }
+    if (tile.type === BLOCK.PORTAL) {
+        return new THREE.Mesh(new THREE.TorusGeometry(BLOCK_SIZE * 0.35, BLOCK_SIZE * 0.06, 8, 24), material);
+    }
+    // Locks and timed firewalls are barrier cubes that fade out while open
+    const barrier = new THREE.Mesh(new THREE.BoxGeometry(BLOCK_SIZE * 0.9, BLOCK_SIZE * 0.9, BLOCK_SIZE * 0.9), material);
+    barrier.add(new THREE.LineSegments(
+        new THREE.EdgesGeometry(barrier.geometry),
+        new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.9 })
+    ));
+    return barrier;
+}
+
+function updateTileVisuals() {
+    tileMeshes.forEach((mesh) => {
+        const { tile } = mesh.userData;
+        if (tile.type !== BLOCK.LOCK && tile.type !== BLOCK.TIMER) return;
+        const isClosed = game.isTileClosed(tile);
+        mesh.material.opacity = isClosed ? 0.55 : 0.06;
+        mesh.material.wireframe = !isClosed;
+        mesh.children[0].material.opacity = isClosed ? 0.9 : 0.25;
+    });
+}
+
+function describeTile(tile) {
+    const { name } = BLOCK_VISUALS[tile.type];
+    const where = `[${tile.x}, ${tile.y}, ${tile.z}]`;
+    if (tile.type === BLOCK.PAD) {
+        return `${name} ${where} (채널 ${tile.channel}): 키 블록을 올리면 채널 ${tile.channel} 잠금이 열립니다.`;
+    }
+    if (tile.type === BLOCK.LOCK) {
+        const state = game.isTileClosed(tile) ? '닫힘' : '열림';
+        return `${name} ${where} (채널 ${tile.channel}): ${state} · 채널 ${tile.channel}의 모든 패드에 키 블록이 있으면 열립니다.`;
+    }
+    if (tile.type === BLOCK.PORTAL) {
+        const exit = game.tiles.find((other) => other !== tile && other.type === BLOCK.PORTAL && other.channel === tile.channel);
+        return exit
+            ? `${name} ${where} (채널 ${tile.channel}): 들어간 블록은 [${exit.x}, ${exit.y}, ${exit.z}] 포탈로 나옵니다.`
+            : `${name} ${where} (채널 ${tile.channel}): 짝이 되는 포탈이 없습니다.`;
+    }
+    const state = game.isTileClosed(tile) ? '닫힘' : '열림';
+    const remaining = tile.period - (game.moveCount % tile.period);
+    return `${name} ${where}: ${state} · ${remaining}수 후 전환 (${tile.period}수 주기)`;
+}
+
 function toggleXRay() {
     isXRayMode = !isXRayMode;
     if (isXRayMode) ui.xrayBtn.classList.add('active');
@@ -709,15 +2348,93 @@ function toggleXRay() {
     updateXRayVisuals();
 }
 
+function toggleLayerView() {
+    if (isAnimating || isEditorMode) return;
+    isLayerMode = !isLayerMode;
+    refreshLayerView();
+    updateMessage(isLayerMode
+        ? `LAYER: ${layerAxis.toUpperCase()}축 ${layerIndex + 1}번째 층만 표시합니다. 흐린 블록은 선택할 수 없습니다.`
+        : 'LAYER 꺼짐: 모든 층을 표시합니다.');
+}
+
+function selectLayer(axis, index) {
+    if (isAnimating || !isLayerMode) return;
+    layerAxis = axis;
+    layerIndex = Math.max(0, Math.min(index, gridSize[axis] - 1));
+    refreshLayerView();
+}
+
+function toggleExplode() {
+    if (isAnimating || !isLayerMode) return;
+    isExploded = !isExploded;
+    refreshLayerView();
+}
+
+function resetLayerView() {
+    // Runs before the board is rebuilt, so the new meshes are laid out unexploded
+    isLayerMode = false;
+    isExploded = false;
+    layerIndex = 0;
+    updateLayerPanel();
+}
+
+function isShownInLayer(mesh) {
+    // Pieces share one material, so a piece stays whole whenever any of its cells lies in the layer
+    return !isLayerMode || blocks.some((block) => (
+        block.material === mesh.material && block.userData[`g${layerAxis}`] === layerIndex
+    ));
+}
+
+function refreshLayerView() {
+    // Exploding moves cells apart, so everything placed from grid coordinates is laid out again
+    blocks.forEach((mesh) => {
+        const { gx, gy, gz } = mesh.userData;
+        mesh.position.copy(getWorldPos(gx, gy, gz));
+    });
+    targetZoneMeshes.forEach((mesh, index) => {
+        const { x, y, z } = game.targets[index];
+        mesh.position.copy(getWorldPos(x, y, z));
+    });
+    tileMeshes.forEach((mesh) => {
+        const { gx, gy, gz } = mesh.userData;
+        mesh.position.copy(getWorldPos(gx, gy, gz));
+        mesh.visible = !isLayerMode || mesh.userData[`g${layerAxis}`] === layerIndex;
+    });
+
+    if (selectedBlock && !isShownInLayer(selectedBlock)) {
+        deselect();
+    }
+    updateLayerPanel();
+    updateRotatePanel();
+    updateMoveHints();
+    updateXRayVisuals();
+}
+
+function updateLayerPanel() {
+    ui.layerBtn.classList.toggle('active', isLayerMode);
+    ui.layerPanel.hidden = !isLayerMode;
+    ui.layerAxisBtns.forEach((button) => {
+        button.classList.toggle('active', button.dataset.layerAxis === layerAxis);
+    });
+    ui.layerRange.max = gridSize[layerAxis] - 1;
+    ui.layerRange.value = layerIndex;
+    ui.layerLabel.textContent = `${layerAxis.toUpperCase()} ${layerIndex + 1}/${gridSize[layerAxis]}`;
+    ui.explodeBtn.classList.toggle('active', isExploded);
+}
+
 function updateXRayVisuals() {
     blocks.forEach((mesh) => {
-        if (mesh === selectedBlock) {
+        if (mesh.material === selectedBlock?.material) {
             mesh.material.opacity = 1;
             mesh.material.wireframe = false;
             mesh.material.depthWrite = true;
+        } else if (!isShownInLayer(mesh)) {
+            mesh.material.opacity = LAYER_GHOST_OPACITY;
+            mesh.material.wireframe = false;
+            mesh.material.depthWrite = false;
         } else {
             if (isXRayMode) {
-                mesh.material.opacity = mesh.userData.type === 3 ? 0.5 : 0.2;
+                mesh.material.opacity = BLOCK_VISUALS[mesh.userData.type].xrayOpacity;
                 mesh.material.wireframe = false;
                 mesh.material.depthWrite = false;
             } else {
@@ -744,6 +2461,52 @@ function getAxisScreenVector(axisVector, origin) {
     return new THREE.Vector2(ex - sx, ey - sy);
 }
 
+function getViewMoves() {
+    // Screen-right, screen-up and out-of-the-screen each take the board axis that best matches the view;
+    // the axis drawn shortest points most into the screen, and of the other two the flatter one runs sideways
+    if (!isCameraRelative) {
+        return WORLD_VIEW_MOVES;
+    }
+    const origin = selectedBlock ? selectedBlock.position.clone() : new THREE.Vector3();
+    const axes = ['x', 'y', 'z'].map((axis) => {
+        const { dx, dy, dz } = MOVE_DIRECTIONS.find((direction) => direction.axis === axis && direction.dir === 1);
+        const vec = new THREE.Vector3(dx, dy, dz);
+        return { axis, vec, screen: getAxisScreenVector(vec, origin) };
+    });
+    const depth = axes.reduce((best, entry) => (entry.screen.lengthSq() < best.screen.lengthSq() ? entry : best));
+    const [horizontal, vertical] = axes
+        .filter((entry) => entry !== depth)
+        .sort((a, b) => Math.abs(b.screen.x) / b.screen.length() - Math.abs(a.screen.x) / a.screen.length());
+    const toward = camera.position.clone().sub(origin);
+
+    const right = { axis: horizontal.axis, dir: horizontal.screen.x >= 0 ? 1 : -1 };
+    // Screen y grows downwards
+    const up = { axis: vertical.axis, dir: vertical.screen.y <= 0 ? 1 : -1 };
+    const out = { axis: depth.axis, dir: depth.vec.dot(toward) >= 0 ? 1 : -1 };
+    const flip = ({ axis, dir }) => ({ axis, dir: -dir });
+    return { left: flip(right), right, up, down: flip(up), out, in: flip(out) };
+}
+
+function updateMoveButtonLabels() {
+    // Each button keeps its board direction; only its arrow follows the view
+    const moves = getViewMoves();
+    MOVE_DIRECTIONS.forEach(({ axis, dir }) => {
+        const view = Object.keys(moves).find((name) => moves[name].axis === axis && moves[name].dir === dir);
+        document.getElementById(`move-${axis}-${dir > 0 ? 'pos' : 'neg'}`).textContent = VIEW_LABELS[view];
+    });
+}
+
+function toggleCameraRelative() {
+    isCameraRelative = !isCameraRelative;
+    saveData.settings = { ...saveData.settings, cameraRelative: isCameraRelative };
+    writeSave();
+    ui.cameraKeysBtn.classList.toggle('active', isCameraRelative);
+    updateMoveButtonLabels();
+    updateMessage(isCameraRelative
+        ? 'CAM KEYS: 방향키와 D-pad가 현재 화면 방향을 따릅니다.'
+        : 'CAM KEYS 꺼짐: 방향키와 D-pad가 고정된 X/Y/Z축을 따릅니다.');
+}
+
 function worldToScreen(world) {
     const rect = renderer.domElement.getBoundingClientRect();
     const projected = world.clone().project(camera);
@@ -795,7 +2558,7 @@ function getSwipeAxisCandidate(dx, dy, threshold) {
 }
 
 function onPointerDown(event) {
-    if (isAnimating || isGameClear) {
+    if (isAnimating || isGameClear || isLockdown) {
         return;
     }
 
@@ -803,7 +2566,17 @@ function onPointerDown(event) {
     pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
     raycaster.setFromCamera(pointer, camera);
-    const intersects = raycaster.intersectObjects(blocks);
+    if (isEditorMode) {
+        if (handleEditorPointer()) {
+            event.stopPropagation();
+        }
+        return;
+    }
+    if (isReplayMode) {
+        return;
+    }
+    // Ghosted layers are see-through, so clicks reach the blocks of the layer on show
+    const intersects = raycaster.intersectObjects(blocks.filter(isShownInLayer), false);
 
     if (intersects.length > 0) {
         selectBlock(intersects[0].object);
@@ -823,6 +2596,11 @@ function onPointerDown(event) {
     if (event.pointerType === 'mouse') {
         deselect();
     }
+    // Tiles cannot be selected, but clicking one explains what it does
+    const tileHits = raycaster.intersectObjects(tileMeshes.filter((mesh) => mesh.visible), false);
+    if (tileHits.length > 0) {
+        updateMessage(describeTile(tileHits[0].object.userData.tile));
+    }
     pointerStates.set(event.pointerId, {
         mode: 'orbit',
         startX: event.clientX,
@@ -886,14 +2664,22 @@ function selectBlock(mesh) {
     selectedBlock = mesh;
     selectedBlock.material.emissive.setHex(0x333333);
 
-    const { gx, gy, gz, type } = mesh.userData;
-    const blockName = type === 2 ? '코어' : type === 3 ? '방화벽' : '데이터 블록';
-    const hint = type === 3 ? ' (이동 불가)' : '';
-    updateMessage(`${blockName}${hint} 선택됨: [${gx}, ${gy}, ${gz}]`);
+    const { gx, gy, gz, type, piece, channel } = mesh.userData;
+    const { name, note = '' } = BLOCK_VISUALS[type];
+    if (channel) {
+        updateMessage(`${name} (채널 ${channel}) 선택됨: [${gx}, ${gy}, ${gz}] · 채널 ${channel} 탈출구로 옮기세요.`);
+    } else if (piece) {
+        const size = blocks.filter((block) => block.userData.piece === piece).length;
+        updateMessage(`블록 조각 ${piece} (${size}칸) 선택됨: [${gx}, ${gy}, ${gz}]`);
+    } else {
+        updateMessage(`${name}${note} 선택됨: [${gx}, ${gy}, ${gz}]`);
+    }
 
     updateMoveButtons();
     updateMoveHints();
     updateXRayVisuals();
+    if (isAutoFrame) frameView();
+    announce(`${ui.message.textContent} · ${describeLegalMoves()}`);
 }
 
 function deselect() {
@@ -901,7 +2687,7 @@ function deselect() {
         selectedBlock.material.emissive.setHex(0x000000);
     }
     selectedBlock = null;
-    updateMessage(`${currentLevelName} - 코어를 탈출구로 이동하세요.`);
+    updateMessage(getLevelMessage());
 
     ['x', 'y', 'z'].forEach((axis) => {
         document.getElementById(`move-${axis}-pos`).disabled = true;
@@ -910,32 +2696,19 @@ function deselect() {
 
     updateMoveHints();
     updateXRayVisuals();
+    if (isAutoFrame) frameView();
 }
 
 function updateMoveButtons() {
     if (!selectedBlock) {
         return;
     }
-    const { gx, gy, gz, type } = selectedBlock.userData;
-    if (type === 3) {
-        ['x', 'y', 'z'].forEach((axis) => {
-            document.getElementById(`move-${axis}-pos`).disabled = true;
-            document.getElementById(`move-${axis}-neg`).disabled = true;
-        });
-        return;
-    }
-
-    const check = (nx, ny, nz) => {
-        if (!isInBounds(nx, ny, nz)) return false;
-        return gridData[nx][ny][nz] === 0;
-    };
-
-    document.getElementById('move-x-pos').disabled = !check(gx + 1, gy, gz);
-    document.getElementById('move-x-neg').disabled = !check(gx - 1, gy, gz);
-    document.getElementById('move-y-pos').disabled = !check(gx, gy + 1, gz);
-    document.getElementById('move-y-neg').disabled = !check(gx, gy - 1, gz);
-    document.getElementById('move-z-pos').disabled = !check(gx, gy, gz + 1);
-    document.getElementById('move-z-neg').disabled = !check(gx, gy, gz - 1);
+    updateMoveButtonLabels();
+    const { gx, gy, gz } = selectedBlock.userData;
+    MOVE_DIRECTIONS.forEach(({ axis, dir }) => {
+        const id = `move-${axis}-${dir > 0 ? 'pos' : 'neg'}`;
+        document.getElementById(id).disabled = !game.getMove(gx, gy, gz, axis, dir);
+    });
 }
 
 function clearMoveHints() {
@@ -943,49 +2716,274 @@ function clearMoveHints() {
         return;
     }
     while (moveHintGroup.children.length > 0) {
+        moveHintGroup.children[0].userData.pushed.forEach((mesh) => setPushPreview(mesh, false));
         moveHintGroup.remove(moveHintGroup.children[0]);
     }
 }
 
-function updateMoveHints() {
-    clearMoveHints();
-    if (!selectedBlock || isAnimating || isGameClear) {
-        return;
+function getMoveLandings() {
+    if (!selectedBlock || isAnimating || isGameClear || isLockdown) {
+        return [];
     }
-    const { gx, gy, gz, type } = selectedBlock.userData;
-    if (type === 3) {
-        return;
-    }
-    const directions = [
-        { dx: 1, dy: 0, dz: 0 },
-        { dx: -1, dy: 0, dz: 0 },
-        { dx: 0, dy: 1, dz: 0 },
-        { dx: 0, dy: -1, dz: 0 },
-        { dx: 0, dy: 0, dz: 1 },
-        { dx: 0, dy: 0, dz: -1 }
-    ];
+    const { gx, gy, gz } = selectedBlock.userData;
 
-    directions.forEach((dir) => {
-        const nx = gx + dir.dx;
-        const ny = gy + dir.dy;
-        const nz = gz + dir.dz;
-        if (!isInBounds(nx, ny, nz)) {
-            return;
-        }
-        if (gridData[nx][ny][nz] !== 0) {
-            return;
+    return MOVE_DIRECTIONS.flatMap(({ axis, dir, dx, dy, dz }) => {
+        const move = game.getMove(gx, gy, gz, axis, dir);
+        if (!move) {
+            return [];
         }
+        // Hints mark the landing cell: the end of a slide, the far end of a pushed line or the leading cell of a piece,
+        // followed down if gravity drops it
+        const lead = [move, ...move.linked].reduce((best, link) => (
+            link.to.x * dx + link.to.y * dy + link.to.z * dz > best.to.x * dx + best.to.y * dy + best.to.z * dz ? link : best
+        ));
+        const moved = move.pushed.length > 0 ? move.pushed[move.pushed.length - 1].to : lead.to;
+        const fall = move.falls.find(({ from }) => from.x === moved.x && from.y === moved.y && from.z === moved.z);
+        return [{ axis, dir, move, landing: fall ? fall.to : moved }];
+    });
+}
+
+function updateMoveHints() {
+    clearMoveHints();
+    const landings = getMoveLandings();
+
+    landings.forEach(({ axis, dir, move, landing }) => {
         const hintMaterial = moveHintMaterial.clone();
         const hint = new THREE.Mesh(moveHintGeometry, hintMaterial);
-        hint.position.copy(getWorldPos(nx, ny, nz));
+        hint.position.copy(getWorldPos(landing.x, landing.y, landing.z));
         hint.userData = {
-            axis: dir.dx !== 0 ? 'x' : dir.dy !== 0 ? 'y' : 'z',
-            dir: dir.dx !== 0 ? Math.sign(dir.dx) : dir.dy !== 0 ? Math.sign(dir.dy) : Math.sign(dir.dz)
+            axis,
+            dir,
+            pushed: move.pushed.map(({ from }) => findBlockAt(from.x, from.y, from.z))
         };
         moveHintGroup.add(hint);
     });
 
     applySwipePreview();
+    updateMap(landings);
+}
+
+function showAccessSettings() {
+    ui.accessModal.classList.add('show');
+    ui.accessAnnounce.focus();
+}
+
+function hideAccessSettings() {
+    ui.accessModal.classList.remove('show');
+    ui.accessBtn.focus();
+}
+
+function onAccessChange() {
+    isAccessibleMode = ui.accessAnnounce.checked;
+    paletteName = ui.accessPalette.value;
+    isShapeCues = ui.accessCues.checked;
+    isReducedMotion = ui.accessMotion.checked;
+    saveData.settings = {
+        ...saveData.settings,
+        accessible: isAccessibleMode,
+        palette: paletteName,
+        cues: isShapeCues,
+        reducedMotion: isReducedMotion
+    };
+    writeSave();
+    applyAccessSettings();
+
+    // Recolour in place so a palette change never disturbs the board or an animation in progress
+    blocks.forEach((mesh) => {
+        const { type, piece, channel } = mesh.userData;
+        mesh.material.color.setHex(getBlockColor(type, piece));
+        mesh.material.map = isShapeCues ? getCueTexture(type) : null;
+        mesh.material.needsUpdate = true;
+        mesh.userData.originalColor = mesh.material.color.clone();
+        if (channel) {
+            mesh.children.find((child) => child.isLineSegments).material.color.setHex(getChannelColor(channel));
+        }
+    });
+    targetZoneMeshes.forEach((zone, index) => {
+        const channel = game.targets[index]?.channel;
+        const color = channel ? getChannelColor(channel) : PALETTES[paletteName].exit;
+        zone.material.color.setHex(color);
+        zone.children[0].material.color.setHex(color);
+    });
+    tileMeshes.forEach((mesh) => {
+        const { tile } = mesh.userData;
+        if (!tile.channel) return;
+        mesh.material.color.setHex(getChannelColor(tile.channel));
+        mesh.children.forEach((child) => child.material.color.setHex(getChannelColor(tile.channel)));
+    });
+    updateMap(getMoveLandings());
+    announce('접근성 설정이 저장되었습니다.');
+}
+
+function applyAccessSettings() {
+    ui.accessAnnounce.checked = isAccessibleMode;
+    ui.accessPalette.value = paletteName;
+    ui.accessCues.checked = isShapeCues;
+    ui.accessMotion.checked = isReducedMotion;
+    ui.accessBtn.classList.toggle('active', isAccessibleMode || isShapeCues || paletteName !== 'default');
+    ui.cellJump.hidden = !isAccessibleMode;
+    document.body.dataset.palette = paletteName;
+    document.body.classList.toggle('shape-cues', isShapeCues);
+    document.body.classList.toggle('reduced-motion', isReducedMotion);
+}
+
+function cycleBlock(step) {
+    // Keyboard selection walks the pieces in coordinate order, so no pointer or raycast is needed
+    if (isAnimating || isReplayMode) {
+        return;
+    }
+    const order = ({ userData: a }, { userData: b }) => a.gx - b.gx || a.gy - b.gy || a.gz - b.gz;
+    const candidates = blocks
+        .filter(isShownInLayer)
+        .sort(order)
+        .filter((mesh, index, list) => list.findIndex((other) => other.material === mesh.material) === index);
+    if (candidates.length === 0) {
+        return;
+    }
+    const current = candidates.findIndex((mesh) => mesh.material === selectedBlock?.material);
+    const next = current === -1
+        ? (step > 0 ? 0 : candidates.length - 1)
+        : (current + step + candidates.length) % candidates.length;
+    selectBlock(candidates[next]);
+}
+
+function onCellJump(event) {
+    event.preventDefault();
+    const coords = ui.cellInput.value.trim().split(/[\s,]+/).map(Number);
+    if (coords.length !== 3 || !coords.every(Number.isInteger)) {
+        updateMessage('좌표는 "x y z" 형식으로 입력하세요 (예: 1 0 2).');
+        return;
+    }
+    const [x, y, z] = coords;
+    if (!isInBounds(x, y, z, gridSize)) {
+        updateMessage(`[${x}, ${y}, ${z}]은(는) 그리드 범위(${gridSize.x}×${gridSize.y}×${gridSize.z})를 벗어났습니다.`);
+        return;
+    }
+    ui.cellInput.value = '';
+    // Hand the keyboard back to the board so the move keys work straight away
+    ui.cellInput.blur();
+    selectCell(x, y, z);
+}
+
+function toggleMap() {
+    isMapOpen = !isMapOpen;
+    saveData.settings = { ...saveData.settings, map: isMapOpen };
+    writeSave();
+    ui.mapBtn.classList.toggle('active', isMapOpen);
+    updateMap(getMoveLandings());
+}
+
+function updateMap(landings) {
+    ui.layerMap.hidden = !isMapOpen || isEditorMode;
+    if (ui.layerMap.hidden) {
+        return;
+    }
+    // The map follows the layer view's axis, so its grids line up with the slice on screen
+    const axis = isLayerMode ? layerAxis : 'y';
+    const { column, row, isFlipped } = MAP_PLANES[axis];
+    const selectedCells = selectedBlock
+        ? blocks.filter((block) => block.material === selectedBlock.material).map(({ userData }) => userData)
+        : [];
+    // Cells are rebuilt on every update, so keyboard focus is carried over by coordinates
+    const focused = ui.layerMapGrids.contains(document.activeElement) ? document.activeElement.dataset.cell : null;
+
+    const layers = Array.from({ length: gridSize[axis] }, (_, layer) => {
+        const section = document.createElement('div');
+        section.className = 'layer-map-layer';
+        section.classList.toggle('active', isLayerMode && layer === layerIndex);
+        section.textContent = `${axis.toUpperCase()}${layer + 1}`;
+
+        const grid = document.createElement('div');
+        grid.className = 'layer-map-grid';
+        grid.style.gridTemplateColumns = `repeat(${gridSize[column]}, auto)`;
+        for (let r = 0; r < gridSize[row]; r += 1) {
+            for (let c = 0; c < gridSize[column]; c += 1) {
+                const cell = { [axis]: layer, [column]: c, [row]: isFlipped ? gridSize[row] - 1 - r : r };
+                grid.append(createMapCell(cell, landings, selectedCells));
+            }
+        }
+        section.append(grid);
+        return section;
+    });
+    ui.layerMapGrids.replaceChildren(...layers);
+    if (focused) {
+        ui.layerMapGrids.querySelector(`[data-cell="${focused}"]`)?.focus();
+    }
+}
+
+function createMapCell({ x, y, z }, landings, selectedCells) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'map-cell';
+    button.dataset.cell = `${x},${y},${z}`;
+    const toColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+    const labels = [];
+
+    const type = game.grid[x][y][z];
+    if (type) {
+        button.classList.add(`map-${BLOCK_TYPES[type].name}`);
+        const channel = game.getChannel(x, y, z);
+        const piece = game.getPiece(x, y, z);
+        if (piece) button.classList.add('map-piece');
+        if (channel) button.style.setProperty('--block-color', toColor(getChannelColor(channel)));
+        labels.push(piece ? `블록 조각 ${piece}` : `${BLOCK_VISUALS[type].name}${channel ? ` (채널 ${channel})` : ''}`);
+    }
+    const tile = game.getTile(x, y, z);
+    if (tile) {
+        button.classList.add(`map-${BLOCK_TYPES[tile.type].name}`);
+        if (tile.channel) button.style.setProperty('--tile-color', toColor(getChannelColor(tile.channel)));
+        labels.push(`${BLOCK_VISUALS[tile.type].name}${tile.channel ? ` (채널 ${tile.channel})` : ''}`);
+    }
+    const target = game.targets.find((exit) => exit.x === x && exit.y === y && exit.z === z);
+    if (target) {
+        button.classList.add('map-exit');
+        // Plain exits take --color-exit from the stylesheet, so the palette recolours them
+        if (target.channel) button.style.setProperty('--tile-color', toColor(getChannelColor(target.channel)));
+        labels.push(target.channel ? `탈출구 (채널 ${target.channel})` : '탈출구');
+    }
+    if (selectedCells.some(({ gx, gy, gz }) => gx === x && gy === y && gz === z)) {
+        button.classList.add('map-selected');
+        labels.push('선택됨');
+    }
+    // A landing cell moves the selected block there when tapped
+    const landing = landings.find((entry) => entry.landing.x === x && entry.landing.y === y && entry.landing.z === z);
+    if (landing) {
+        button.classList.add('map-legal');
+        button.dataset.axis = landing.axis;
+        button.dataset.dir = landing.dir;
+        labels.push(`${landing.axis.toUpperCase()}${landing.dir > 0 ? '+' : '-'} 방향 이동 가능`);
+    }
+
+    button.title = `[${x}, ${y}, ${z}] ${labels.join(', ') || '빈 칸'}`;
+    button.setAttribute('aria-label', button.title);
+    return button;
+}
+
+function onMapClick(event) {
+    const cell = event.target.closest('.map-cell');
+    if (!cell || isAnimating || isEditorMode || isReplayMode) {
+        return;
+    }
+    if (cell.dataset.axis) {
+        moveSelectedBlock(cell.dataset.axis, parseInt(cell.dataset.dir, 10));
+        return;
+    }
+    const [x, y, z] = cell.dataset.cell.split(',').map(Number);
+    selectCell(x, y, z);
+}
+
+function selectCell(x, y, z) {
+    if (isAnimating || isEditorMode || isReplayMode) {
+        return;
+    }
+    const block = findBlockAt(x, y, z);
+    if (block) {
+        selectBlock(block);
+        return;
+    }
+    deselect();
+    const tile = game.getTile(x, y, z);
+    updateMessage(tile ? describeTile(tile) : `[${x}, ${y}, ${z}] 빈 칸`);
 }
 
 function setHintVisual(mesh, isActive) {
@@ -1005,9 +3003,15 @@ function applySwipePreview() {
             hint.userData.axis === swipePreview.axis &&
             hint.userData.dir === swipePreview.dir;
         setHintVisual(hint, Boolean(matches));
+        hint.userData.pushed.forEach((mesh) => setPushPreview(mesh, Boolean(matches)));
     });
 }
 
+function setPushPreview(mesh, isActive) {
+    if (mesh === selectedBlock) return;
+    mesh.material.emissive.setHex(isActive ? COLOR_PUSH_PREVIEW : 0x000000);
+}
+
 function setSwipePreview(preview) {
     const same =
         (swipePreview?.axis === preview?.axis) &&
@@ -1020,65 +3024,287 @@ function setSwipePreview(preview) {
 }
 
 function moveSelectedBlock(axis, dir) {
-    if (!selectedBlock || isAnimating || isGameClear) return;
+    if (!selectedBlock || isAnimating || isGameClear || isLockdown || isReplayMode) return;
 
-    const { gx, gy, gz, type } = selectedBlock.userData;
-    if (type === 3) {
+    if (!BLOCK_TYPES[selectedBlock.userData.type].movable) {
         updateMessage('방화벽 블록은 이동할 수 없습니다.');
         return;
     }
-    let nx = gx;
-    let ny = gy;
-    let nz = gz;
+    moveBlock(selectedBlock, axis, dir);
+}
+
+function moveBlock(block, axis, dir) {
+    const { gx, gy, gz } = block.userData;
+    const move = game.move(gx, gy, gz, axis, dir);
+    if (!move) return false;
+
+    applyMove(move, true);
+    return true;
+}
+
+function rotateSlice(axis, layer, dir) {
+    const move = game.rotate(axis, layer, dir);
+    if (!move) return false;
 
-    if (axis === 'x') nx += dir;
-    if (axis === 'y') ny += dir;
-    if (axis === 'z') nz += dir;
+    applyMove(move, true);
+    return true;
+}
 
-    if (!isInBounds(nx, ny, nz)) return;
-    if (gridData[nx][ny][nz] !== 0) return;
+function rotateSelectedSlice(dir) {
+    if (!game.rules.rotate || isAnimating || isGameClear || isLockdown || isReplayMode || isEditorMode) return;
 
-    applyMove(selectedBlock, { x: gx, y: gy, z: gz }, { x: nx, y: ny, z: nz }, true);
+    if (!rotateSlice(sliceAxis, sliceLayer, dir)) {
+        updateMessage(`${sliceAxis.toUpperCase()}축 ${sliceLayer + 1}번 층은 지금 회전할 수 없습니다.`);
+    }
 }
 
-function applyMove(block, from, to, recordHistory) {
-    isAnimating = true;
-    gridData[to.x][to.y][to.z] = block.userData.type;
-    gridData[from.x][from.y][from.z] = 0;
+function selectSlice(axis, layer) {
+    // Only axes whose cross-section is square can turn; fall back to the first one that can
+    const turnable = ['x', 'y', 'z'].filter((name) => game.context.rotations.some((turn) => turn.axis === name));
+    sliceAxis = turnable.includes(axis) ? axis : turnable[0] || 'y';
+    sliceLayer = Math.max(0, Math.min(layer, gridSize[sliceAxis] - 1));
+    updateRotatePanel();
+}
 
-    block.userData.gx = to.x;
-    block.userData.gy = to.y;
-    block.userData.gz = to.z;
+function updateRotatePanel() {
+    const isVisible = game.rules.rotate && !isEditorMode;
+    ui.rotatePanel.hidden = !isVisible;
+    sliceMarker.visible = isVisible;
+    if (!isVisible) {
+        return;
+    }
+    ui.rotateAxisBtns.forEach((button) => {
+        const axis = button.dataset.rotateAxis;
+        button.disabled = !game.context.rotations.some((turn) => turn.axis === axis);
+        button.classList.toggle('active', axis === sliceAxis);
+    });
+    ui.rotateLayer.textContent = `${sliceAxis.toUpperCase()} ${sliceLayer + 1}/${gridSize[sliceAxis]}`;
+    ui.rotateLayerPrev.disabled = sliceLayer === 0;
+    ui.rotateLayerNext.disabled = sliceLayer === gridSize[sliceAxis] - 1;
+    ui.rotateCcw.disabled = !game.getRotation(sliceAxis, sliceLayer, 1);
+    ui.rotateCw.disabled = !game.getRotation(sliceAxis, sliceLayer, -1);
+
+    // The marker wraps the chosen slice: one cell thick along the axis, the whole board across it
+    const center = new THREE.Vector3();
+    center[sliceAxis] = getWorldPos(sliceLayer, sliceLayer, sliceLayer)[sliceAxis];
+    sliceMarker.position.copy(center);
+    const far = getWorldPos(gridSize.x - 1, gridSize.y - 1, gridSize.z - 1).sub(getWorldPos(0, 0, 0));
+    sliceMarker.scale.set(far.x + TOTAL_SIZE, far.y + TOTAL_SIZE, far.z + TOTAL_SIZE);
+    sliceMarker.scale[sliceAxis] = TOTAL_SIZE;
+}
+
+function findBlockAt(x, y, z) {
+    return blocks.find((block) => block.userData.gx === x && block.userData.gy === y && block.userData.gz === z);
+}
+
+// The grid has already been updated by `game`; this moves the meshes and reacts to the new status
+function applyMove(move, isForward) {
+    isAnimating = true;
+    swipePreview = null;
+    const { segments, falls } = placeMove(move, isForward);
 
-    if (recordHistory) {
-        moveHistory.push({ block, from, to });
+    if (isForward && !isReplayMode) {
+        recordAttemptMove(move);
     }
 
-    animateBlockMove(block, from, to, () => {
+    const onComplete = () => {
+        const previous = extractedCount;
         isAnimating = false;
         updateMoveButtons();
         updateMoveHints();
-        updateMoveCount(recordHistory ? 1 : -1);
+        updateMoveCount();
         updateUndoState();
+        updateXRayVisuals();
+        if (isAutoFrame) frameView();
 
-        if (block.userData.type === 2 && to.x === targetPos.x && to.y === targetPos.y && to.z === targetPos.z) {
+        emitApiEvent('move', describeMove(move, segments, falls, isForward));
+        const status = game.getStatus();
+        if (status === 'playing' && extractedCount !== previous) {
+            updateMessage(`코어 추출 ${extractedCount}/${game.targets.length}`);
+        }
+        if (isReplayMode) {
+            onReplayMoveComplete(game.isExtracted());
+        } else if (status === 'lockdown') {
+            handleLockdown();
+        } else if (status === 'victory') {
             handleVictory();
+        } else {
+            announce(describeProgress());
+        }
+        flushIdleResolvers();
+    };
+    const animateMain = (onDone) => {
+        if (move.layer !== undefined) {
+            animateRotation(segments, move, isForward, onDone);
+        } else {
+            animateSegments(segments, isForward, onDone);
+        }
+    };
+    // Falls play after the move lands; undo lifts the blocks back up before reversing the move
+    if (isForward) {
+        animateMain(() => animateSegments(falls, true, onComplete));
+    } else {
+        animateSegments(falls, false, () => animateMain(onComplete));
+    }
+}
+
+function getSliceTurn(move, isForward, progress) {
+    // Slice turns follow the right-hand rule: dir 1 is a quarter turn anticlockwise seen from the + side of the axis
+    const { dx, dy, dz } = MOVE_DIRECTIONS.find(({ axis, dir }) => axis === move.axis && dir === 1);
+    const angle = (isForward ? move.dir : -move.dir) * (Math.PI / 2) * progress;
+    return new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(dx, dy, dz), angle);
+}
+
+function animateRotation(segments, move, isForward, onDone) {
+    // Blocks swing about the slice's centre in grid cells and are placed through getWorldPos,
+    // so a turn across exploded layers follows their spacing and ends on the cells it lands on.
+    // Orientation turns too, which keeps piece bridges pointing at their neighbours.
+    const centre = new THREE.Vector3((gridSize.x - 1) / 2, (gridSize.y - 1) / 2, (gridSize.z - 1) / 2);
+    centre[move.axis] = move.layer;
+    const starts = segments.map(({ block, from }) => ({
+        offset: new THREE.Vector3(from.x, from.y, from.z).sub(centre),
+        quaternion: block.quaternion.clone()
+    }));
+    const turnTo = (progress) => {
+        const turn = getSliceTurn(move, isForward, progress);
+        segments.forEach(({ block }, index) => {
+            const cell = starts[index].offset.clone().applyQuaternion(turn).add(centre);
+            block.position.copy(getWorldPos(cell.x, cell.y, cell.z));
+            block.quaternion.copy(starts[index].quaternion).premultiply(turn);
+        });
+    };
+    const finish = () => {
+        turnTo(1);
+        segments.forEach(({ block, to }) => block.position.copy(getWorldPos(to.x, to.y, to.z)));
+        onDone();
+    };
+    const duration = getCellAnimationMs() * ROTATION_ANIMATION_CELLS;
+    if (duration <= 0) {
+        finish();
+        return;
+    }
+
+    const startTime = performance.now();
+    const animateTurn = (time) => {
+        const progress = Math.min(Math.max(0, time - startTime) / duration, 1);
+        if (progress < 1) {
+            turnTo(1 - Math.pow(1 - progress, 3));
+            requestAnimationFrame(animateTurn);
+        } else {
+            finish();
         }
+    };
+    requestAnimationFrame(animateTurn);
+}
+
+function animateSegments(segments, isForward, onDone) {
+    if (segments.length === 0) {
+        onDone();
+        return;
+    }
+    // Blocks a slide picks up on the way start moving once the mover reaches them
+    const longest = Math.max(...segments.map(({ legs }) => legs.length));
+    let pending = segments.length;
+    segments.forEach(({ block, to, legs }) => {
+        const delay = isForward ? (longest - legs.length) * getCellAnimationMs() : 0;
+        animateBlockMove(block, legs, to, () => {
+            pending -= 1;
+            if (pending === 0) onDone();
+        }, delay);
+    });
+}
+
+// Falls start where the move left the blocks, so each phase is looked up only after the one before it is placed
+function placeMove(move, isForward) {
+    const place = (segments) => {
+        segments.forEach(({ block, to }) => placeBlock(block, to));
+        return segments;
+    };
+    if (isForward) {
+        const segments = place(getMoveSegments(move, true));
+        return { segments, falls: place(getFallSegments(move, true)) };
+    }
+    const falls = place(getFallSegments(move, false));
+    return { segments: place(getMoveSegments(move, false)), falls };
+}
+
+function getMoveSegments(move, isForward) {
+    if (move.layer !== undefined) {
+        // Slice turns swing rather than slide, so their segments carry no legs
+        return [move, ...move.linked].map(({ from, to }) => {
+            const start = isForward ? from : to;
+            return { block: findBlockAt(start.x, start.y, start.z), from: start, to: isForward ? to : from, legs: [] };
+        });
+    }
+    const direction = MOVE_DIRECTIONS.find(({ axis, dir }) => axis === move.axis && dir === move.dir);
+    return getSegments([move, ...move.linked, ...move.pushed], direction, isForward);
+}
+
+function getFallSegments(move, isForward) {
+    const direction = MOVE_DIRECTIONS.find(({ axis, dir }) => axis === 'y' && dir === -1);
+    return getSegments(move.falls, direction, isForward);
+}
+
+function getSegments(links, { dx, dy, dz }, isForward) {
+    // Meshes are looked up before any of them moves, so a pushed line never resolves to the wrong block
+    return links.map(({ from, to, path }) => {
+        const start = isForward ? from : to;
+        const end = isForward ? to : from;
+        // One leg per cell, ending on the neighbouring cell so exploded layers stretch it; a portal jump slides
+        // into the portal, then the next leg starts at its partner
+        const legs = path.slice(0, -1).map(({ x, y, z }) => [getWorldPos(x, y, z), getWorldPos(x + dx, y + dy, z + dz)]);
+        const ordered = isForward ? legs : legs.reverse().map(([a, b]) => [b, a]);
+        return { block: findBlockAt(start.x, start.y, start.z), from: start, to: end, legs: ordered };
     });
 }
 
-function animateBlockMove(block, from, to, onComplete) {
-    const startPos = getWorldPos(from.x, from.y, from.z);
+function describeMove(move, segments, falls, isForward) {
+    const [main, ...rest] = segments;
+    const linked = rest.slice(0, move.linked.length);
+    const pushed = rest.slice(move.linked.length);
+    return {
+        from: main.from,
+        to: main.to,
+        type: main.block.userData.type,
+        piece: move.piece,
+        linked: linked.map(({ from, to }) => ({ from, to })),
+        pushed: pushed.map(({ from, to }) => ({ from, to })),
+        falls: falls.map(({ from, to }) => ({ from, to })),
+        rotation: move.layer !== undefined ? { axis: move.axis, layer: move.layer, dir: move.dir } : null,
+        undo: !isForward,
+        moveCount: game.moveCount
+    };
+}
+
+function placeBlock(block, to) {
+    block.userData.gx = to.x;
+    block.userData.gy = to.y;
+    block.userData.gz = to.z;
+}
+
+function getCellAnimationMs() {
+    const duration = isReplayMode ? moveAnimationMs / getReplaySpeed() : moveAnimationMs;
+    return isReducedMotion ? duration * REDUCED_MOTION_SCALE : duration;
+}
+
+function animateBlockMove(block, legs, to, onComplete, delay = 0) {
     const endPos = getWorldPos(to.x, to.y, to.z);
-    const duration = 200;
-    const startTime = performance.now();
+    // Longer slides take proportionally longer so every block travels at the same speed
+    const duration = getCellAnimationMs() * legs.length;
+    const startTime = performance.now() + delay;
+    if (duration <= 0) {
+        block.position.copy(endPos);
+        if (onComplete) onComplete();
+        return;
+    }
 
     const animateMove = (time) => {
-        const elapsed = time - startTime;
+        const elapsed = Math.max(0, time - startTime);
         const progress = Math.min(elapsed / duration, 1);
-        const ease = 1 - Math.pow(1 - progress, 3);
+        const travelled = (1 - Math.pow(1 - progress, 3)) * legs.length;
+        const leg = Math.min(Math.floor(travelled), legs.length - 1);
 
-        block.position.lerpVectors(startPos, endPos, ease);
+        block.position.lerpVectors(legs[leg][0], legs[leg][1], travelled - leg);
 
         if (progress < 1) {
             requestAnimationFrame(animateMove);
@@ -1093,48 +3319,247 @@ function animateBlockMove(block, from, to, onComplete) {
 
 function undoMove() {
     if (isAnimating || isGameClear) return;
-    const lastMove = moveHistory.pop();
+    if (isReplayMode) {
+        stepReplayBack();
+        return;
+    }
+    const lastMove = game.undo();
     if (!lastMove) return;
 
-    const { block, from, to } = lastMove;
-    applyMove(block, to, from, false);
+    if (isLockdown) {
+        isLockdown = false;
+        ui.lockdownModal.classList.remove('show');
+    }
+    attemptLog.pop();
+
+    applyMove(lastMove, false);
+}
+
+function redoMove() {
+    if (isAnimating || isGameClear || isLockdown) return;
+    if (isReplayMode) {
+        stepReplayManually();
+        return;
+    }
+    const move = game.redo();
+    if (!move) return;
+
+    applyMove(move, true);
+}
+
+function jumpToStep(step) {
+    if (isAnimating || isGameClear || isEditorMode || isReplayMode) {
+        updateUndoState();
+        return;
+    }
+    const target = Math.max(0, Math.min(step, game.history.length + game.redoStack.length));
+    const snapMove = (move, isForward) => {
+        const { segments, falls } = placeMove(move, isForward);
+        if (move.layer !== undefined) {
+            const turn = getSliceTurn(move, isForward, 1);
+            segments.forEach(({ block }) => block.quaternion.premultiply(turn));
+        }
+        [...segments, ...falls].forEach(({ block, to }) => {
+            block.position.copy(getWorldPos(to.x, to.y, to.z));
+        });
+        emitApiEvent('move', describeMove(move, segments, falls, isForward));
+    };
+
+    // Scrubbing skips the animation so dragging across many steps stays responsive
+    while (game.history.length > target) {
+        const move = game.undo();
+        attemptLog.pop();
+        snapMove(move, false);
+    }
+    while (game.history.length < target) {
+        const move = game.redo();
+        snapMove(move, true);
+        recordAttemptMove(move);
+    }
+
+    swipePreview = null;
+    if (isLockdown) {
+        isLockdown = false;
+        ui.lockdownModal.classList.remove('show');
+    }
+    updateMoveButtons();
+    updateMoveHints();
+    updateMoveCount();
+    updateUndoState();
+    updateXRayVisuals();
+    updateMessage(`HISTORY - ${moveCount} / ${game.history.length + game.redoStack.length} 단계`);
+
+    if (game.getStatus() === 'lockdown') {
+        handleLockdown();
+    }
 }
 
-function updateMoveCount(delta) {
-    if (delta !== 0) {
-        moveCount = Math.max(0, moveCount + delta);
+function showHint() {
+    if (isAnimating || isGameClear || isLockdown || isEditorMode || isReplayMode) return;
+
+    const state = game.getStateKey();
+    if (!hintCache.has(state)) {
+        const result = game.solve();
+        if (result.status === 'aborted') {
+            updateMessage('탐색 한도를 초과해 힌트를 계산하지 못했습니다.');
+            return;
+        }
+        if (result.status !== 'solved' || result.moves.length === 0) {
+            updateMessage('현재 배치에서는 탈출 경로가 없습니다. UNDO 또는 RESET을 사용하세요.');
+            return;
+        }
+        cacheSolution(result.moves);
+    }
+
+    const { move, remaining } = hintCache.get(state);
+    if (move.layer !== undefined) {
+        selectSlice(move.axis, move.layer);
+        updateMessage(`HINT: ${move.axis.toUpperCase()}축 ${move.layer + 1}번 층 ${move.dir > 0 ? '⟲' : '⟳'} 회전 · 최적 해까지 ${remaining}수`);
+        return;
     }
+    const mesh = findBlockAt(move.x, move.y, move.z);
+    if (!mesh) return;
+
+    selectBlock(mesh);
+    setSwipePreview({ axis: move.axis, dir: move.dir });
+    const blockName = BLOCK_VISUALS[mesh.userData.type].name;
+    const direction = `${move.axis.toUpperCase()}${move.dir > 0 ? '+' : '-'}`;
+    updateMessage(`HINT: ${blockName} [${move.x}, ${move.y}, ${move.z}] → ${direction} · 최적 해까지 ${remaining}수`);
+}
+
+function cacheSolution(moves) {
+    // Remember every state along the optimal path so following the hint stays instant
+    const { context } = game;
+    let current = game.encode();
+    moves.forEach((move, index) => {
+        const turn = game.moveCount + index;
+        hintCache.set(PuzzleSolver.getStateKey(current, turn, context), { move, remaining: moves.length - index });
+        current = PuzzleSolver.getMoveSuccessor(current, move, context, turn);
+    });
+}
+
+function updateMoveCount() {
+    moveCount = game.moveCount;
     updateStats();
+    updateTileVisuals();
+    updateRotatePanel();
 }
 
 function updateUndoState() {
-    ui.undoBtn.disabled = moveHistory.length === 0 || isAnimating || isGameClear;
+    const isBusy = isAnimating || isGameClear;
+    const { history, redoStack } = game;
+    const canRedo = isReplayMode ? replay.index < replay.moves.length : redoStack.length > 0;
+    const total = history.length + redoStack.length;
+    ui.undoBtn.disabled = history.length === 0 || isBusy;
+    ui.redoBtn.disabled = !canRedo || isBusy || isLockdown;
+    ui.timelineRange.max = total;
+    ui.timelineRange.value = history.length;
+    ui.timelineRange.disabled = total === 0 || isBusy || isEditorMode || isReplayMode;
+    ui.timelineLabel.textContent = `${history.length} / ${total}`;
 }
 
 function updateMessage(text) {
     ui.message.textContent = text;
+    announce(text);
+}
+
+function announce(text) {
+    if (!isAccessibleMode) {
+        return;
+    }
+    // A fresh node makes screen readers speak repeated text such as the same error twice in a row
+    const line = document.createElement('p');
+    line.textContent = text;
+    ui.announcer.replaceChildren(line);
+}
+
+function describeLegalMoves() {
+    const landings = getMoveLandings();
+    if (landings.length === 0) {
+        return '이동 가능한 방향이 없습니다.';
+    }
+    return `이동 가능: ${landings.map(({ axis, dir, landing }) => (
+        `${axis.toUpperCase()}${dir > 0 ? '+' : '-'} → [${landing.x}, ${landing.y}, ${landing.z}]`
+    )).join(', ')}`;
+}
+
+function describeProgress() {
+    const progress = `${moveCount}/${currentLevel.moveLimit}수 · 코어 ${game.getExtractedCount()}/${game.targets.length}`;
+    if (!selectedBlock) {
+        return progress;
+    }
+    const { gx, gy, gz } = selectedBlock.userData;
+    return `${progress} · 선택 [${gx}, ${gy}, ${gz}] · ${describeLegalMoves()}`;
+}
+
+function getOptimalLength(level) {
+    if (level.optimal) {
+        return level.optimal;
+    }
+    if (!optimalCache.has(level)) {
+        const result = PuzzleSolver.solveLevel(level);
+        optimalCache.set(level, result.status === 'solved' ? result.length : null);
+    }
+    return optimalCache.get(level);
+}
+
+function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+function handleLockdown() {
+    isLockdown = true;
+    ui.lockdownModal.classList.add('show');
+    clearMoveHints();
+    updateUndoState();
+    updateMessage(`이동 한도(${currentLevel.moveLimit})를 초과했습니다. 시스템이 잠겼습니다.`);
+    emitApiEvent('lockdown', { id: currentLevel.id, moves: moveCount, moveLimit: currentLevel.moveLimit });
 }
 
 function handleVictory() {
     isGameClear = true;
+    const limit = currentLevel.moveLimit;
+    const optimal = getOptimalLength(currentLevel) || Math.ceil(limit / 2);
+    const stars = getStarRating(moveCount, optimal, limit);
+    const time = performance.now() - levelStartTime;
+    ui.victoryStars.textContent = formatStars(stars);
+    if (isPlaytest || currentLevel.isCustom) {
+        const label = isPlaytest ? 'PLAY TEST' : 'CUSTOM';
+        ui.victoryStats.textContent = `MOVES ${moveCount} · OPTIMAL ${optimal} · TIME ${formatTime(time)} · ${label}`;
+    } else if (currentLevel.daily) {
+        const record = recordDaily(currentLevel, { stars, moves: moveCount, optimal, time });
+        const streak = DailyChallenge.getStreak(saveData.daily.history, currentLevel.daily);
+        ui.victoryStats.textContent =
+            `MOVES ${moveCount} · OPTIMAL ${optimal} · TIME ${formatTime(time)} · DAILY ${record.moves} MOVES · STREAK ${streak}`;
+    } else {
+        const record = recordCompletion(currentLevel, { stars, moves: moveCount, time });
+        ui.victoryStats.textContent =
+            `MOVES ${moveCount} · OPTIMAL ${optimal} · TIME ${formatTime(time)} · BEST ${formatStars(record.stars)}`;
+    }
+    ui.modalShareBtn.hidden = !currentLevel.daily;
+    ui.modalShareBtn.textContent = 'SHARE RESULT';
     ui.modal.classList.add('show');
     updateUndoState();
-
+    emitApiEvent('victory', { id: currentLevel.id, moves: moveCount, optimal, stars, time });
+    announce(`SYSTEM HACKED! 별 ${stars}개 · ${ui.victoryStats.textContent}`);
+
+    // A piece spins as one body about its centre, so its cells never drift apart
+    const spinning = selectedBlock ? blocks.filter((block) => block.material === selectedBlock.material) : [];
+    const centre = new THREE.Vector3();
+    spinning.forEach((mesh) => centre.add(mesh.position));
+    centre.divideScalar(Math.max(spinning.length, 1));
+    const spin = new THREE.Quaternion().setFromEuler(new THREE.Euler(0.05, 0.1, 0));
     const animateWin = () => {
-        if (!isGameClear) return;
-        if (selectedBlock) {
-            selectedBlock.rotation.y += 0.1;
-            selectedBlock.rotation.x += 0.05;
-        }
+        if (!isGameClear || isReducedMotion) return;
+        spinning.forEach((mesh) => {
+            mesh.position.sub(centre).applyQuaternion(spin).add(centre);
+            mesh.quaternion.premultiply(spin);
+        });
         requestAnimationFrame(animateWin);
     };
     animateWin();
 }
 
-function isInBounds(x, y, z) {
-    return x >= 0 && x < GRID_SIZE && y >= 0 && y < GRID_SIZE && z >= 0 && z < GRID_SIZE;
-}
-
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
@@ -1146,9 +3571,15 @@ function animate() {
     controls.update();
     renderer.render(scene, camera);
 
-    if (targetZoneMesh) {
-        targetZoneMesh.rotation.y += 0.01;
+    if (isReducedMotion) {
+        return;
     }
+    targetZoneMeshes.forEach((mesh) => {
+        mesh.rotation.y += 0.01;
+    });
+    tileMeshes.forEach((mesh) => {
+        if (mesh.userData.type === BLOCK.PORTAL) mesh.rotation.y += 0.02;
+    });
 }
 
 init();
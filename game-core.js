@@ -0,0 +1,1953 @@
+// Renderer-free game rules shared by the Three.js front end and Node scripts
+
+export const DEFAULT_GRID_SIZE = 3;
+export const MAX_GRID_SIZE = 5;
+const SOLVER_MAX_STATES = 400000;
+const GENERATOR_MAX_STATES = 12000;
+const GENERATOR_MAX_ATTEMPTS = 40;
+const GENERATOR_MAX_STEPS = 60;
+// A board still outside its band after the climb is thrown away and regenerated from a derived seed,
+// each round with a fresh budget; a sector that never lands in its band fails instead of shipping an easier board
+const GENERATOR_MAX_ROUNDS = 16;
+const GENERATOR_STATE_BUDGET = 30000;
+const GENERATOR_MIN_LENGTH = 3;
+// Solver states grow about 2.5× per move of depth, so deeper bands would outrun the search budget on every board size
+const GENERATOR_MAX_MIN_LENGTH = 8;
+// The slide heuristic barely guides the solver, so ice bands stop even shorter
+const GENERATOR_MAX_SLIDE_LENGTH = 6;
+const GENERATOR_SLIDE_EVERY = 5;
+const GENERATOR_SLIDE_DENSITY = 0.6;
+const GENERATOR_GRAVITY_EVERY = 7;
+const GENERATOR_GRAVITY_DENSITY = 0.5;
+// Every gravity successor also settles the board, so those sectors get a smaller search budget
+const GENERATOR_GRAVITY_BUDGET = 15000;
+// Dailies draw their difficulty from the 3×3×3 sectors, which generate quickly enough to build on page load
+const DAILY_MIN_SECTOR = 8;
+const DAILY_MAX_SECTOR = 15;
+export const MOVE_DIRECTIONS = [
+    { axis: 'x', dir: 1, dx: 1, dy: 0, dz: 0 },
+    { axis: 'x', dir: -1, dx: -1, dy: 0, dz: 0 },
+    { axis: 'y', dir: 1, dx: 0, dy: 1, dz: 0 },
+    { axis: 'y', dir: -1, dx: 0, dy: -1, dz: 0 },
+    { axis: 'z', dir: 1, dx: 0, dy: 0, dz: 1 },
+    { axis: 'z', dir: -1, dx: 0, dy: 0, dz: -1 }
+];
+
+export const LEVELS = [
+    {
+        id: 'boot',
+        name: 'Boot Sector',
+        moveLimit: 12,
+        target: { x: 2, y: 2, z: 2 },
+        blocks: [
+            { x: 0, y: 0, z: 0, type: 2 },
+            { x: 0, y: 0, z: 1, type: 1 },
+            { x: 0, y: 1, z: 0, type: 1 },
+            { x: 1, y: 0, z: 1, type: 1 },
+            { x: 1, y: 1, z: 0, type: 1 },
+            { x: 2, y: 0, z: 0, type: 1 },
+            { x: 2, y: 1, z: 1, type: 1 }
+        ]
+    },
+    {
+        id: 'firewall',
+        name: 'Firewall Maze',
+        moveLimit: 16,
+        target: { x: 2, y: 2, z: 2 },
+        blocks: [
+            { x: 0, y: 0, z: 0, type: 2 },
+            { x: 0, y: 0, z: 1, type: 1 },
+            { x: 1, y: 0, z: 1, type: 1 },
+            { x: 2, y: 0, z: 1, type: 1 },
+            { x: 0, y: 1, z: 0, type: 1 },
+            { x: 2, y: 0, z: 0, type: 1 },
+            { x: 1, y: 0, z: 2, type: 1 },
+            { x: 1, y: 1, z: 1, type: 3 },
+            { x: 1, y: 2, z: 1, type: 3 },
+            { x: 2, y: 1, z: 2, type: 3 }
+        ]
+    },
+    {
+        id: 'core-lock',
+        name: 'Core Lock',
+        moveLimit: 20,
+        target: { x: 2, y: 2, z: 2 },
+        blocks: [
+            { x: 0, y: 0, z: 0, type: 2 },
+            { x: 0, y: 0, z: 1, type: 1 },
+            { x: 0, y: 1, z: 1, type: 1 },
+            { x: 1, y: 0, z: 1, type: 1 },
+            { x: 1, y: 0, z: 2, type: 1 },
+            { x: 2, y: 0, z: 1, type: 1 },
+            { x: 2, y: 1, z: 1, type: 1 },
+            { x: 0, y: 2, z: 1, type: 1 },
+            { x: 2, y: 2, z: 0, type: 1 },
+            { x: 1, y: 1, z: 1, type: 3 },
+            { x: 2, y: 1, z: 0, type: 3 },
+            { x: 1, y: 2, z: 0, type: 3 }
+        ]
+    }
+];
+
+export const MAX_CHANNELS = 4;
+export const MAX_TIMER_PERIOD = 9;
+export const MAX_PIECES = 26;
+export const BLOCK = {
+    EMPTY: 0,
+    DATA: 1,
+    CORE: 2,
+    FIREWALL: 3,
+    KEY: 4,
+    PAD: 5,
+    LOCK: 6,
+    PORTAL: 7,
+    TIMER: 8
+};
+// Block-layer types occupy their cell in the grid; tile-layer types are fixed cell features blocks can enter.
+// `channel` links pads to locks and pairs portals, `period` is how many moves a timed firewall stays closed or open,
+// `piece` joins DATA cells into one multi-cell piece and `color` lets a core carry an optional channel
+// that only exits of the same channel accept.
+export const BLOCK_TYPES = {
+    [BLOCK.DATA]: { name: 'data', label: 'DATA', layer: 'block', movable: true, pushable: true, piece: true },
+    [BLOCK.CORE]: { name: 'core', label: 'CORE', layer: 'block', movable: true, color: true },
+    [BLOCK.FIREWALL]: { name: 'firewall', label: 'FIREWALL', layer: 'block' },
+    [BLOCK.KEY]: { name: 'key', label: 'KEY', layer: 'block', movable: true, pushable: true },
+    [BLOCK.PAD]: { name: 'pad', label: 'PAD', layer: 'tile', channel: true },
+    [BLOCK.LOCK]: { name: 'lock', label: 'LOCK', layer: 'tile', channel: true },
+    [BLOCK.PORTAL]: { name: 'portal', label: 'PORTAL', layer: 'tile', channel: true },
+    [BLOCK.TIMER]: { name: 'timer', label: 'TIMER', layer: 'tile', period: true }
+};
+// Solver states spell piece cells as letters ('a' is piece 1), so a piece is never mistaken for loose blocks,
+// and coloured cores as capitals ('A' is channel 1), so a core is never mistaken for one of another colour
+const PIECE_CHAR_OFFSET = 96;
+const CORE_CHAR_OFFSET = 64;
+const CORE_CHARS = new Set(Array.from({ length: MAX_CHANNELS + 1 }, (_, channel) => getCoreChar(channel)));
+const MOVABLE_CHARS = new Set([
+    ...Object.keys(BLOCK_TYPES).filter((type) => BLOCK_TYPES[type].movable),
+    ...CORE_CHARS
+]);
+const PUSHABLE_CHARS = new Set(Object.keys(BLOCK_TYPES).filter((type) => BLOCK_TYPES[type].pushable));
+const FALL_DIRECTION = MOVE_DIRECTIONS.findIndex(({ axis, dir }) => axis === 'y' && dir === -1);
+export const MOVEMENT_MODES = ['step', 'slide'];
+export const DEFAULT_RULES = { push: false, movement: 'step', gravity: false, rotate: false };
+export const PACK_FORMAT = 'core-hacker-pack';
+export const PACK_VERSION = 1;
+export const REPLAY_FORMAT = 'core-hacker-replay';
+export const REPLAY_VERSION = 1;
+
+export class SeededRandom {
+    // mulberry32 seeded from an FNV-1a hash of the seed text
+    constructor(seed) {
+        let hash = 2166136261;
+        const text = String(seed);
+        for (let i = 0; i < text.length; i += 1) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        this.state = hash >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6d2b79f5) | 0;
+        let t = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000).toString(36);
+    }
+}
+
+export class LevelGenerator {
+    static generate(levelNum, seed = SeededRandom.createSeed(), difficulty = LevelGenerator.getDifficulty(levelNum)) {
+        // The search budget counts solver states, not time, so a seed always yields the same board.
+        // Bigger boards need more states per move of depth, so the per-board cap scales with volume.
+        const { size, rules } = difficulty;
+        const scale = size.x * size.y * size.z / 27;
+        const budget = { remaining: 0, maxStates: GENERATOR_MAX_STATES * scale };
+        let board = null;
+        for (let round = 0; round < GENERATOR_MAX_ROUNDS && !board; round += 1) {
+            // Round 0 keeps the plain seed; a short climb from a fresh board beats a long one from a stuck board
+            budget.remaining = rules.gravity ? GENERATOR_GRAVITY_BUDGET : GENERATOR_STATE_BUDGET;
+            const candidate = LevelGenerator.climb(levelNum, round === 0 ? seed : `${seed}:${round}`, difficulty, budget);
+            if (candidate?.distance === 0) {
+                board = candidate;
+            }
+        }
+        if (!board) {
+            throw new Error(`Could not generate a board inside the difficulty band for sector ${levelNum} (seed ${seed})`);
+        }
+
+        // Extract blocks for level object
+        const target = LevelGenerator.getTarget(difficulty);
+        const blocks = [];
+        for (let x = 0; x < size.x; x++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let z = 0; z < size.z; z++) {
+                    if (board.grid[x][y][z] !== 0) {
+                        blocks.push({ x, y, z, type: board.grid[x][y][z] });
+                    }
+                }
+            }
+        }
+
+        return {
+            id: `gen-${levelNum}`,
+            name: `Sector ${levelNum}`,
+            seed,
+            moveLimit: Math.max(board.stats.optimal + 3, Math.ceil(board.stats.optimal * 1.5)),
+            optimal: board.stats.optimal,
+            // `distance` is how far outside the difficulty band the board is, so always 0 here
+            stats: { ...board.stats, distance: board.distance },
+            ...(rules.movement !== DEFAULT_RULES.movement ? { movement: rules.movement } : {}),
+            ...(rules.gravity ? { gravity: true } : {}),
+            size: { ...size },
+            target,
+            blocks
+        };
+    }
+
+    static getTarget({ size, rules }) {
+        // Fixed exit for consistency; nothing climbs under gravity, so those exits sit on the floor
+        return { x: size.x - 1, y: rules.gravity ? 0 : size.y - 1, z: size.z - 1 };
+    }
+
+    static climb(levelNum, seed, difficulty, budget) {
+        const random = new SeededRandom(`${levelNum}:${seed}`);
+        const { size } = difficulty;
+        const volume = size.x * size.y * size.z;
+        // Keep the 3x3x3 density curve and scale it to the board volume, up to half as many blocks again;
+        // ice boards need room to slide and gravity piles every block on the floor layer
+        const { rules } = difficulty;
+        const density = (rules.movement === 'slide' ? GENERATOR_SLIDE_DENSITY : 1) * (rules.gravity ? GENERATOR_GRAVITY_DENSITY : 1);
+        const dataBlockCount = Math.round(Math.min(8 + Math.floor(levelNum * 0.5), 13) * density * Math.min(volume / 27, 1.5));
+        const firewallCount = Math.round(Math.min(Math.floor(levelNum / 5), 4) * volume / 27);
+        const target = LevelGenerator.getTarget(difficulty);
+
+        // Reverse-scramble a starting board, then hill-climb towards the difficulty band.
+        // The scramble walks about twice the longest solution in the band, so the start already lies near it.
+        let current = null;
+        for (let attempt = 0; attempt < GENERATOR_MAX_ATTEMPTS && !current; attempt += 1) {
+            const grid = LevelGenerator.scramble(random, size, target, dataBlockCount, firewallCount, difficulty.length[1] * 2);
+            if (grid) {
+                current = LevelGenerator.evaluate(grid, target, difficulty, budget);
+            }
+        }
+        // Only solved boards can be returned; the walk itself may pass through boards too deep to verify
+        let best = current && !current.aborted ? current : null;
+
+        for (let step = 0; step < GENERATOR_MAX_STEPS && current && !(best?.distance === 0) && budget.remaining > 0; step += 1) {
+            // Too easy pushes the core away from the exit, too hard pulls it closer
+            const optimal = current.aborted ? Infinity : current.stats.optimal;
+            const bias = optimal < difficulty.length[0] ? 1 : optimal > difficulty.length[1] ? -1 : 0;
+            const mutated = LevelGenerator.mutate(random, current.grid, target, bias);
+            const candidate = LevelGenerator.evaluate(mutated, target, difficulty, budget);
+            if (!candidate) {
+                continue;
+            }
+            if (candidate.aborted) {
+                // Deeper than the solver cap is harder than the band, so step there while the current board is too easy
+                if (!current.aborted && current.stats.optimal < difficulty.length[0]) {
+                    current = candidate;
+                }
+                continue;
+            }
+            if (current.aborted || candidate.distance <= current.distance) {
+                current = candidate;
+            }
+            if (!best || candidate.distance <= best.distance) {
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    static getDifficulty(levelNum) {
+        // Every fifth sector is an ice sector; slides cover several cells, so it aims for shorter solutions.
+        // Every seventh sector adds gravity on top of whichever movement it has.
+        const movement = levelNum % GENERATOR_SLIDE_EVERY === 0 ? 'slide' : 'step';
+        const gravity = levelNum % GENERATOR_GRAVITY_EVERY === 0;
+        const minLength = movement === 'slide'
+            ? Math.min(3 + Math.floor(levelNum / 10), GENERATOR_MAX_SLIDE_LENGTH)
+            : Math.min(5 + Math.floor(levelNum / 4), GENERATOR_MAX_MIN_LENGTH);
+        // A slide carries one block across the board, so ice sectors need fewer blocks out of the way;
+        // and a short solution has no room to shift many different blocks
+        const minBlocks = Math.min(
+            movement === 'slide' ? 2 + Math.floor(levelNum / 10) : 2 + Math.floor(levelNum / 5),
+            Math.floor(minLength / 2)
+        );
+        // Every extra cell adds legal moves, so the branching ceiling grows with the board
+        const size = LevelGenerator.getSectorSize(levelNum);
+        return {
+            rules: { ...DEFAULT_RULES, movement, gravity },
+            size,
+            length: [minLength, minLength + 4],
+            branching: [6, Math.round(24 * size.x * size.y * size.z / 27)],
+            blocksMoved: [minBlocks, minBlocks + 4]
+        };
+    }
+
+    static getSectorSize(levelNum) {
+        // Boards grow one axis at a time so each step stays readable
+        const steps = [
+            { from: 40, size: { x: 5, y: 4, z: 4 } },
+            { from: 32, size: { x: 4, y: 4, z: 4 } },
+            { from: 24, size: { x: 4, y: 4, z: 3 } },
+            { from: 16, size: { x: 4, y: 3, z: 3 } }
+        ];
+        const step = steps.find((entry) => levelNum >= entry.from);
+        return step ? { ...step.size } : { x: DEFAULT_GRID_SIZE, y: DEFAULT_GRID_SIZE, z: DEFAULT_GRID_SIZE };
+    }
+
+    static evaluate(candidate, target, difficulty, budget) {
+        // Gravity boards are stored at rest, the way GameState would settle them anyway
+        const grid = difficulty.rules.gravity ? PuzzleSolver.settleGrid(candidate, difficulty.rules) : candidate;
+        const result = PuzzleSolver.solve(grid, [target], budget.maxStates, difficulty.rules);
+        budget.remaining -= result.explored;
+        if (result.status === 'aborted') {
+            return { grid, aborted: true };
+        }
+        if (result.status !== 'solved' || result.length < GENERATOR_MIN_LENGTH) {
+            return null;
+        }
+        const stats = { optimal: result.length, ...PuzzleSolver.analyze(grid, result.moves, difficulty.rules) };
+        return { grid, stats, distance: LevelGenerator.getBandDistance(stats, difficulty) };
+    }
+
+    static mutate(random, grid, target, bias = 0) {
+        // Relocate one movable block; the solver decides whether the result is still a valid board.
+        // With a bias, half the moves carry the core that way along its Manhattan distance to the exit.
+        const next = grid.map((plane) => plane.map((row) => row.slice()));
+        const size = getGridSize(next);
+        const movable = [];
+        const empty = [];
+        for (let x = 0; x < size.x; x++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let z = 0; z < size.z; z++) {
+                    if (next[x][y][z] === 1 || next[x][y][z] === 2) movable.push({ x, y, z });
+                    if (next[x][y][z] === 0) empty.push({ x, y, z });
+                }
+            }
+        }
+        const distance = ({ x, y, z }) => Math.abs(x - target.x) + Math.abs(y - target.y) + Math.abs(z - target.z);
+        const core = movable.find((cell) => next[cell.x][cell.y][cell.z] === 2);
+        const from = bias !== 0 && random.next() < 0.5 ? core : movable[random.int(movable.length)];
+        const type = next[from.x][from.y][from.z];
+        const spots = type === 2
+            ? empty.filter((cell) => distance(cell) > 0 && (from !== core || bias === 0 || Math.sign(distance(cell) - distance(core)) === bias))
+            : empty;
+        if (spots.length === 0) {
+            return next;
+        }
+        const to = spots[random.int(spots.length)];
+        next[to.x][to.y][to.z] = type;
+        next[from.x][from.y][from.z] = 0;
+        return next;
+    }
+
+    static getBandDistance(stats, difficulty) {
+        const outside = (value, [min, max]) => (value < min ? min - value : value > max ? value - max : 0);
+        return outside(stats.optimal, difficulty.length) * 2 +
+            outside(stats.branching, difficulty.branching) +
+            outside(stats.blocksMoved, difficulty.blocksMoved);
+    }
+
+    static scramble(random, size, target, dataBlockCount, firewallCount, scrambleMoves) {
+        const grid = createEmptyGrid(size);
+
+        // Start with Core at target
+        grid[target.x][target.y][target.z] = 2;
+
+        // Add Firewalls at random (avoid target)
+        let firewallsAdded = 0;
+        while (firewallsAdded < firewallCount) {
+            const rx = random.int(size.x);
+            const ry = random.int(size.y);
+            const rz = random.int(size.z);
+            if (grid[rx][ry][rz] === 0) {
+                grid[rx][ry][rz] = 3;
+                firewallsAdded++;
+            }
+        }
+
+        // Add Data Blocks at random
+        let dataAdded = 0;
+        while (dataAdded < dataBlockCount) {
+            const rx = random.int(size.x);
+            const ry = random.int(size.y);
+            const rz = random.int(size.z);
+            if (grid[rx][ry][rz] === 0) {
+                grid[rx][ry][rz] = 1;
+                dataAdded++;
+            }
+        }
+
+        // Scramble (Reverse-play): every step is reversible, so the solved start stays reachable.
+        // Slides are not, which is why evaluate() re-checks every board with the level's own rules.
+        let actualMoves = 0;
+        let timeout = 0;
+
+        while (actualMoves < scrambleMoves && timeout < 500) {
+            timeout++;
+            const { dx, dy, dz } = MOVE_DIRECTIONS[random.int(MOVE_DIRECTIONS.length)];
+
+            // Find a block that can move in this direction (including Core)
+            const movableBlocks = [];
+            for (let x = 0; x < size.x; x++) {
+                for (let y = 0; y < size.y; y++) {
+                    for (let z = 0; z < size.z; z++) {
+                        const type = grid[x][y][z];
+                        if (type === 1 || type === 2) {
+                            const nx = x + dx;
+                            const ny = y + dy;
+                            const nz = z + dz;
+
+                            if (isInBounds(nx, ny, nz, size) && grid[nx][ny][nz] === 0) {
+                                movableBlocks.push({ x, y, z, nx, ny, nz, type });
+                            }
+                        }
+                    }
+                }
+            }
+
+            if (movableBlocks.length > 0) {
+                // Half the steps walk the core itself, so it ends up away from the exit rather than buried next to it
+                const core = movableBlocks.find((block) => block.type === 2);
+                const move = core && random.next() < 0.5 ? core : movableBlocks[random.int(movableBlocks.length)];
+                grid[move.nx][move.ny][move.nz] = move.type;
+                grid[move.x][move.y][move.z] = 0;
+                actualMoves++;
+            }
+        }
+
+        // A core still sitting on the exit is a rejected attempt, never a patched board
+        if (grid[target.x][target.y][target.z] === 2) {
+            return null;
+        }
+        return grid;
+    }
+
+    static getSeedCode(level) {
+        const levelNum = parseInt(level.id.slice('gen-'.length), 10);
+        return `${levelNum}-${level.seed}`;
+    }
+
+    static parseSeedCode(code) {
+        const match = /^(\d+)-([0-9a-z]+)$/i.exec(code || '');
+        if (!match) {
+            return null;
+        }
+        const levelNum = parseInt(match[1], 10);
+        if (levelNum <= LEVELS.length) {
+            return null;
+        }
+        return { levelNum, seed: match[2].toLowerCase() };
+    }
+}
+
+export class DailyChallenge {
+    // One generated sector per calendar day, the same for every player on that date
+    static getKey(date = new Date()) {
+        // Local date, so the daily turns over at the player's own midnight
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static parseKey(key) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+        if (!match) {
+            return null;
+        }
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return DailyChallenge.getKey(date) === key ? date : null;
+    }
+
+    static shiftKey(key, days) {
+        const date = DailyChallenge.parseKey(key);
+        date.setDate(date.getDate() + days);
+        return DailyChallenge.getKey(date);
+    }
+
+    static generate(key = DailyChallenge.getKey()) {
+        if (!DailyChallenge.parseKey(key)) {
+            throw new Error(`Invalid daily key "${key}". Expected YYYY-MM-DD`);
+        }
+        const random = new SeededRandom(`daily:${key}`);
+        const levelNum = DAILY_MIN_SECTOR + random.int(DAILY_MAX_SECTOR - DAILY_MIN_SECTOR + 1);
+        const level = LevelGenerator.generate(levelNum, key.replace(/-/g, ''));
+        // The date is the share code, so the sector seed stays hidden
+        delete level.seed;
+        return { ...level, id: `daily-${key}`, name: `Daily ${key}`, daily: key };
+    }
+
+    static getStreak(history, key = DailyChallenge.getKey()) {
+        // Consecutive cleared days ending today, or yesterday while today is still open
+        let day = history[key] ? key : DailyChallenge.shiftKey(key, -1);
+        let streak = 0;
+        while (history[day]) {
+            streak += 1;
+            day = DailyChallenge.shiftKey(day, -1);
+        }
+        return streak;
+    }
+}
+
+export class PuzzleSolver {
+    // A* over flattened board states. Movable blocks shift, firewalls stay put and tiles are fixed cell features.
+    static solve(grid, targets, maxStates = SOLVER_MAX_STATES, rules = DEFAULT_RULES, tiles = [], moveCount = 0, pieceGrid = null, channelGrid = null) {
+        const size = getGridSize(grid);
+        const cellCount = size.x * size.y * size.z;
+        const context = PuzzleSolver.createContext(size, rules, tiles);
+        // Every exit wants a core of its own colour; uncoloured exits take uncoloured cores
+        const goals = targets.map((target) => {
+            const index = PuzzleSolver.toIndex(target.x, target.y, target.z, size);
+            return { ...target, index, char: getCoreChar(target.channel), distances: PuzzleSolver.getDistanceTable(context, index) };
+        });
+        const coreChars = [...new Set(goals.map(({ char }) => char))];
+        const encoded = PuzzleSolver.encode(grid, pieceGrid, channelGrid);
+        const start = rules.gravity ? PuzzleSolver.settle(encoded, context, moveCount) : encoded;
+
+        const getCoreDistance = (core, char) => {
+            const { x, y, z } = PuzzleSolver.fromIndex(core, size);
+            let best = Infinity;
+            goals.forEach((goal) => {
+                if (goal.char !== char) return;
+                let distance = goal.distances[core];
+                if (rules.movement === 'slide' || rules.gravity) {
+                    // A slide can cross the whole board and a fall is free, so only the axes still off target count.
+                    // Portals can shortcut even that, leaving "not there yet" as the only safe bound.
+                    if (context.hasPortals) {
+                        distance = Number(core !== goal.index);
+                    } else if (rules.movement === 'slide') {
+                        distance = (x !== goal.x) + (!rules.gravity && y !== goal.y) + (z !== goal.z);
+                    } else {
+                        distance = Math.abs(x - goal.x) + Math.abs(z - goal.z);
+                    }
+                }
+                best = Math.min(best, distance);
+            });
+            return best;
+        };
+        // Cores never push or get pushed, so every core needs its own moves and the distances add up.
+        // Keys can carry a move-count suffix, so the scan stops at the last cell.
+        const heuristic = (state) => {
+            // One slice turn can carry every core and clear every exit at once, so "not done yet" is all it can promise
+            if (rules.rotate) {
+                return isSolved(state) ? 0 : 1;
+            }
+            let distance = 0;
+            coreChars.forEach((char) => {
+                for (let core = state.indexOf(char); core !== -1 && core < cellCount; core = state.indexOf(char, core + 1)) {
+                    distance += getCoreDistance(core, char);
+                }
+            });
+            // A block parked on an exit has to move at least once, unless a core can shove it off.
+            // Under gravity a core stepping out from under it can drop it off for free.
+            const parked = !rules.push && (!rules.gravity || goals.length === 1) && goals.some(({ index }) => (
+                state[index] !== '0' && !CORE_CHARS.has(state[index])
+            ));
+            return distance + (parked ? 1 : 0);
+        };
+        const isSolved = (state) => goals.every(({ index, char }) => state[index] === char);
+
+        const cores = start.split('').filter((char) => CORE_CHARS.has(char)).sort().join('');
+        const isWalledIn = !rules.rotate && goals.some(({ index }) => start[index] === '3');
+        if (cores === '' || cores !== goals.map(({ char }) => char).sort().join('') || isWalledIn) {
+            return { status: 'unsolvable', moves: [], length: 0, explored: 0 };
+        }
+
+        // Timed firewalls make the move count part of the state, folded into one full open/close cycle
+        const startKey = PuzzleSolver.getStateKey(start, moveCount, context);
+        const bestCost = new Map([[startKey, 0]]);
+        const parents = new Map([[startKey, null]]);
+        const buckets = [];
+        const push = (key, cost) => {
+            const f = cost + heuristic(key);
+            // Some core can never reach an exit from here, whatever the other blocks do
+            if (f === Infinity) return;
+            if (!buckets[f]) buckets[f] = [];
+            buckets[f].push(key);
+        };
+        push(startKey, 0);
+
+        let explored = 0;
+        for (let f = 0; f < buckets.length; f += 1) {
+            const bucket = buckets[f];
+            while (bucket && bucket.length > 0) {
+                const key = bucket.pop();
+                const cost = bestCost.get(key);
+                if (cost + heuristic(key) !== f) {
+                    continue;
+                }
+                const state = context.cycle > 1 ? key.slice(0, cellCount) : key;
+                if (isSolved(state)) {
+                    return {
+                        status: 'solved',
+                        moves: PuzzleSolver.buildPath(parents, key, context),
+                        length: cost,
+                        explored
+                    };
+                }
+
+                explored += 1;
+                if (explored > maxStates) {
+                    return { status: 'aborted', moves: [], length: 0, explored };
+                }
+
+                const turn = moveCount + cost;
+                for (let index = 0; index < cellCount; index += 1) {
+                    // A piece moves once per turn, from the first cell it covers
+                    const char = state[index];
+                    if (!MOVABLE_CHARS.has(char) && !(char >= 'a' && state.indexOf(char) === index)) continue;
+
+                    for (let d = 0; d < MOVE_DIRECTIONS.length; d += 1) {
+                        const nextState = PuzzleSolver.getSuccessor(state, index, d, context, turn);
+                        if (nextState === null) continue;
+
+                        const nextKey = PuzzleSolver.getStateKey(nextState, turn + 1, context);
+                        const known = bestCost.get(nextKey);
+                        if (known !== undefined && known <= cost + 1) continue;
+                        bestCost.set(nextKey, cost + 1);
+                        parents.set(nextKey, { key, index, d });
+                        push(nextKey, cost + 1);
+                    }
+                }
+                // Slice turns are remembered by their place in the rotation table
+                for (let r = 0; r < context.rotations.length; r += 1) {
+                    const nextState = PuzzleSolver.getRotationSuccessor(state, context.rotations[r], context, turn);
+                    if (nextState === null) continue;
+
+                    const nextKey = PuzzleSolver.getStateKey(nextState, turn + 1, context);
+                    const known = bestCost.get(nextKey);
+                    if (known !== undefined && known <= cost + 1) continue;
+                    bestCost.set(nextKey, cost + 1);
+                    parents.set(nextKey, { key, rotation: r });
+                    push(nextKey, cost + 1);
+                }
+            }
+        }
+
+        return { status: 'unsolvable', moves: [], length: 0, explored };
+    }
+
+    static solveLevel(level, maxStates) {
+        return PuzzleSolver.solve(
+            createGridFromLevel(level),
+            getLevelTargets(level),
+            maxStates,
+            getLevelRules(level),
+            getLevelTiles(level),
+            0,
+            createPieceGridFromLevel(level),
+            createChannelGridFromLevel(level)
+        );
+    }
+
+    static createContext(size, rules = DEFAULT_RULES, tiles = []) {
+        // Everything about a board that never changes during play: rules, tiles and portal-aware neighbours
+        const cellCount = size.x * size.y * size.z;
+        const neighbors = PuzzleSolver.getNeighborTable(size);
+        const context = {
+            size,
+            rules,
+            tiles: new Array(cellCount).fill(null),
+            pads: new Map(),
+            cycle: 1,
+            hasPortals: false,
+            neighbors,
+            // Plain grid neighbours for pieces, which are too big to fit through a portal
+            adjacent: neighbors,
+            // Gravity works on vertical columns, each listed from the floor up
+            columns: [],
+            columnOf: [],
+            gateColumns: [],
+            rotations: rules.rotate ? PuzzleSolver.getRotationTable(size) : []
+        };
+        for (let index = 0; index < cellCount; index += 1) {
+            const { x, y, z } = PuzzleSolver.fromIndex(index, size);
+            const id = x * size.z + z;
+            if (!context.columns[id]) context.columns[id] = [];
+            context.columns[id][y] = index;
+            context.columnOf[index] = id;
+        }
+        const portals = new Map();
+        tiles.forEach((tile) => {
+            const index = PuzzleSolver.toIndex(tile.x, tile.y, tile.z, size);
+            context.tiles[index] = tile;
+            if (tile.type === BLOCK.PAD) {
+                if (!context.pads.has(tile.channel)) context.pads.set(tile.channel, []);
+                context.pads.get(tile.channel).push(index);
+            } else if (tile.type === BLOCK.PORTAL) {
+                if (!portals.has(tile.channel)) portals.set(tile.channel, []);
+                portals.get(tile.channel).push(index);
+            } else if (tile.type === BLOCK.TIMER) {
+                context.cycle = getLeastCommonMultiple(context.cycle, tile.period * 2);
+            }
+            if (tile.type === BLOCK.LOCK || tile.type === BLOCK.TIMER) {
+                context.gateColumns.push(context.columnOf[index]);
+            }
+        });
+
+        // Stepping into a portal lands on its partner, so the neighbour table absorbs the jump
+        const partners = new Map();
+        portals.forEach((pair) => {
+            if (pair.length !== 2) return;
+            partners.set(pair[0], pair[1]);
+            partners.set(pair[1], pair[0]);
+        });
+        if (partners.size > 0) {
+            context.hasPortals = true;
+            context.neighbors = context.neighbors.map((row) => row.map((next) => (
+                partners.has(next) ? partners.get(next) : next
+            )));
+        }
+        return context;
+    }
+
+    static getRotationTable(size) {
+        // Every slice turn the board allows, as the cells of the slice and the cell each one is carried to.
+        // A quarter turn only fits a square slice, so axes whose other two sides differ never turn.
+        const turns = [];
+        [['x', 'y', 'z'], ['y', 'z', 'x'], ['z', 'x', 'y']].forEach(([axis, a, b]) => {
+            if (size[a] !== size[b]) return;
+            const n = size[a];
+            for (let layer = 0; layer < size[axis]; layer += 1) {
+                [1, -1].forEach((dir) => {
+                    const cells = [];
+                    const targets = [];
+                    for (let i = 0; i < n; i += 1) {
+                        for (let j = 0; j < n; j += 1) {
+                            // dir 1 maps (a, b) → (−b, a) about the slice centre: anticlockwise seen from the + side of the axis
+                            const from = { [axis]: layer, [a]: i, [b]: j };
+                            const to = dir === 1
+                                ? { [axis]: layer, [a]: n - 1 - j, [b]: i }
+                                : { [axis]: layer, [a]: j, [b]: n - 1 - i };
+                            cells.push(PuzzleSolver.toIndex(from.x, from.y, from.z, size));
+                            targets.push(PuzzleSolver.toIndex(to.x, to.y, to.z, size));
+                        }
+                    }
+                    turns.push({ axis, layer, dir, cells, targets });
+                });
+            }
+        });
+        return turns;
+    }
+
+    static getStateKey(state, moveCount, context) {
+        return context.cycle > 1 ? `${state}:${moveCount % context.cycle}` : state;
+    }
+
+    static getDistanceTable(context, goalIndex) {
+        // Fewest core steps to an exit on an empty board, walking the neighbour graph backwards
+        const { neighbors } = context;
+        const incoming = neighbors.map(() => []);
+        neighbors.forEach((row, index) => row.forEach((next) => {
+            if (next !== -1) incoming[next].push(index);
+        }));
+        const distances = new Array(neighbors.length).fill(Infinity);
+        distances[goalIndex] = 0;
+        const queue = [goalIndex];
+        for (let head = 0; head < queue.length; head += 1) {
+            const cell = queue[head];
+            incoming[cell].forEach((previous) => {
+                if (distances[previous] !== Infinity) return;
+                distances[previous] = distances[cell] + 1;
+                queue.push(previous);
+            });
+        }
+        return distances;
+    }
+
+    static isTileClosed(tile, context, typeAt, moveCount) {
+        if (!tile) {
+            return false;
+        }
+        if (tile.type === BLOCK.LOCK) {
+            const pads = context.pads.get(tile.channel) || [];
+            return !pads.every((index) => typeAt(index) === BLOCK.KEY);
+        }
+        if (tile.type === BLOCK.TIMER) {
+            return Math.floor(moveCount / tile.period) % 2 === 0;
+        }
+        return false;
+    }
+
+    static getLine(state, index, d, context, moveCount, base = state) {
+        // Cells a step touches: the mover, any pushed blocks, then the open cell the line shifts into.
+        // Locks are judged on the board as it was before the move started.
+        const { neighbors, rules } = context;
+        const line = [index];
+        let next = neighbors[index][d];
+        while (rules.push && next !== -1 && next !== index && PUSHABLE_CHARS.has(state[next])) {
+            line.push(next);
+            next = neighbors[next][d];
+        }
+        if (next === -1 || state[next] !== '0') {
+            return null;
+        }
+        const tile = context.tiles[next];
+        if (tile && PuzzleSolver.isTileClosed(tile, context, (cell) => Number(base[cell]), moveCount)) {
+            return null;
+        }
+        line.push(next);
+        return line;
+    }
+
+    static getSuccessor(state, index, d, context, moveCount, onLine, onFall) {
+        if (state[index] >= 'a') {
+            return PuzzleSolver.getPieceSuccessor(state, index, d, context, moveCount, onFall);
+        }
+        // A slide repeats single steps until the line stops, and still costs one move.
+        // Stopping short of the starting cell keeps a slide through a portal loop from circling forever.
+        let current = state;
+        let mover = index;
+        do {
+            const line = PuzzleSolver.getLine(current, mover, d, context, moveCount, state);
+            if (!line || line[line.length - 1] === index) break;
+            if (onLine) onLine(line);
+            current = PuzzleSolver.shiftLine(current, line);
+            mover = line[1];
+        } while (context.rules.movement === 'slide');
+        if (current !== state && context.rules.gravity) {
+            current = PuzzleSolver.settle(current, context, moveCount + 1, state, onFall);
+        }
+        return current === state ? null : current;
+    }
+
+    static getPieceSuccessor(state, index, d, context, moveCount, onFall) {
+        // A piece moves rigidly: every cell steps into empty space or a cell the piece itself covers.
+        // Pieces never push, are never pushed and do not fit through portals.
+        const { adjacent, tiles } = context;
+        const piece = state[index];
+        const typeAt = (cell) => Number(state[cell]);
+        let cells = [];
+        for (let cell = 0; cell < state.length; cell += 1) {
+            if (state[cell] === piece) cells.push(cell);
+        }
+        let current = state;
+        do {
+            const next = cells.map((cell) => adjacent[cell][d]);
+            const blocked = next.some((cell) => {
+                if (cell === -1) return true;
+                if (current[cell] === piece) return false;
+                if (current[cell] !== '0') return true;
+                const tile = tiles[cell];
+                return Boolean(tile) && (tile.type === BLOCK.PORTAL || PuzzleSolver.isTileClosed(tile, context, typeAt, moveCount));
+            });
+            if (blocked) break;
+            const chars = current.split('');
+            cells.forEach((cell) => {
+                chars[cell] = '0';
+            });
+            next.forEach((cell) => {
+                chars[cell] = piece;
+            });
+            current = chars.join('');
+            cells = next;
+        } while (context.rules.movement === 'slide');
+        if (current !== state && context.rules.gravity) {
+            current = PuzzleSolver.settle(current, context, moveCount + 1, state, onFall);
+        }
+        return current === state ? null : current;
+    }
+
+    static getRotationSuccessor(state, rotation, context, moveCount, onFall) {
+        // A slice turn carries every block in the slice, firewalls included, while tiles stay where they are.
+        // A piece reaching out of the slice holds it still, and nothing may land in a portal or a closed gate.
+        const { cells, targets } = rotation;
+        const { tiles } = context;
+        const typeAt = (cell) => Number(state[cell]);
+        const chars = state.split('');
+        const pieces = new Map();
+        for (let i = 0; i < cells.length; i += 1) {
+            const char = state[cells[i]];
+            if (char === '0') continue;
+            const tile = tiles[targets[i]];
+            if (targets[i] !== cells[i] && tile && (tile.type === BLOCK.PORTAL || PuzzleSolver.isTileClosed(tile, context, typeAt, moveCount))) {
+                return null;
+            }
+            if (char >= 'a') pieces.set(char, (pieces.get(char) || 0) + 1);
+            chars[cells[i]] = '0';
+        }
+        for (const [piece, count] of pieces) {
+            if (state.split(piece).length - 1 !== count) return null;
+        }
+        cells.forEach((cell, i) => {
+            if (state[cell] !== '0') chars[targets[i]] = state[cell];
+        });
+        let current = chars.join('');
+        if (current !== state && context.rules.gravity) {
+            current = PuzzleSolver.settle(current, context, moveCount + 1, state, onFall);
+        }
+        return current === state ? null : current;
+    }
+
+    static getMoveSuccessor(state, move, context, moveCount, onLine, onFall) {
+        // Solution steps are block moves { x, y, z, axis, dir } or slice turns { axis, layer, dir }
+        if (move.layer !== undefined) {
+            const rotation = context.rotations.find(({ axis, layer, dir }) => (
+                axis === move.axis && layer === move.layer && dir === move.dir
+            ));
+            return rotation ? PuzzleSolver.getRotationSuccessor(state, rotation, context, moveCount, onFall) : null;
+        }
+        const from = PuzzleSolver.toIndex(move.x, move.y, move.z, context.size);
+        const d = MOVE_DIRECTIONS.findIndex(({ axis, dir }) => axis === move.axis && dir === move.dir);
+        return PuzzleSolver.getSuccessor(state, from, d, context, moveCount, onLine, onFall);
+    }
+
+    static settle(state, context, moveCount, previous = null, onFall) {
+        // Unsupported blocks drop until they rest on the floor, a firewall, another block, a portal or a closed gate.
+        // Gates are judged on the board as it settles, at the move count after the move. Given the resting board
+        // from before the move, only columns the move touched and columns with gates can hold anything unsupported.
+        const { adjacent, tiles, columns, columnOf, gateColumns } = context;
+        const ids = previous ? gateColumns.slice() : null;
+        if (previous) {
+            for (let index = 0; index < state.length; index += 1) {
+                if (state[index] !== previous[index] && !ids.includes(columnOf[index])) ids.push(columnOf[index]);
+            }
+        }
+        const active = ids ? ids.map((id) => columns[id]) : columns;
+        let chars = state;
+        const typeAt = (cell) => Number(chars[cell]);
+        const isOpen = (cell) => {
+            if (cell === -1 || chars[cell] !== '0') return false;
+            const tile = tiles[cell];
+            return !tile || (tile.type !== BLOCK.PORTAL && !PuzzleSolver.isTileClosed(tile, context, typeAt, moveCount));
+        };
+        let falling = true;
+        while (falling) {
+            falling = false;
+            let checked = null;
+            for (let c = 0; c < active.length; c += 1) {
+                const column = active[c];
+                for (let k = 1; k < column.length; k += 1) {
+                    const char = chars[column[k]];
+                    if (char === '0') continue;
+                    if (MOVABLE_CHARS.has(char)) {
+                        // Columns settle bottom up, so a loose block can drop as far as it goes at once
+                        let at = k;
+                        while (at > 0 && isOpen(column[at - 1])) {
+                            if (onFall) onFall(column[at], column[at - 1]);
+                            at -= 1;
+                        }
+                        if (at === k) continue;
+                        chars = PuzzleSolver.shiftLine(chars, [column[k], column[at]]);
+                        falling = true;
+                    } else if (char >= 'a' && !checked?.has(char)) {
+                        // A piece drops one cell per pass and only when every cell has room below it
+                        checked = checked || new Set();
+                        checked.add(char);
+                        const cells = [];
+                        for (let cell = 0; cell < chars.length; cell += 1) {
+                            if (chars[cell] === char) cells.push(cell);
+                        }
+                        const isFree = (cell) => {
+                            const below = adjacent[cell][FALL_DIRECTION];
+                            return below !== -1 && (chars[below] === char || isOpen(below));
+                        };
+                        if (!cells.every(isFree)) continue;
+                        const next = chars.split('');
+                        cells.forEach((cell) => {
+                            next[cell] = '0';
+                        });
+                        // Bottom cells first, so every fall lands on a cell that is already empty
+                        cells.sort((a, b) => PuzzleSolver.fromIndex(a, context.size).y - PuzzleSolver.fromIndex(b, context.size).y);
+                        cells.forEach((cell) => {
+                            next[adjacent[cell][FALL_DIRECTION]] = char;
+                            if (onFall) onFall(cell, adjacent[cell][FALL_DIRECTION]);
+                            if (ids && !ids.includes(columnOf[cell])) {
+                                ids.push(columnOf[cell]);
+                                active.push(columns[columnOf[cell]]);
+                            }
+                        });
+                        chars = next.join('');
+                        falling = true;
+                    }
+                }
+            }
+        }
+        return chars;
+    }
+
+    static settleGrid(grid, rules) {
+        const context = PuzzleSolver.createContext(getGridSize(grid), rules);
+        return PuzzleSolver.decode(PuzzleSolver.settle(PuzzleSolver.encode(grid), context, 0), context.size).grid;
+    }
+
+    static shiftLine(state, line) {
+        const [index, next] = line;
+        if (line.length === 2) {
+            const low = Math.min(index, next);
+            const high = Math.max(index, next);
+            return state.slice(0, low) + (low === next ? state[index] : '0') +
+                state.slice(low + 1, high) + (high === next ? state[index] : '0') + state.slice(high + 1);
+        }
+        const chars = state.split('');
+        for (let i = line.length - 1; i > 0; i -= 1) {
+            chars[line[i]] = state[line[i - 1]];
+        }
+        chars[index] = '0';
+        return chars.join('');
+    }
+
+    static buildPath(parents, key, context) {
+        const moves = [];
+        let link = parents.get(key);
+        while (link) {
+            if (link.rotation !== undefined) {
+                const { axis, layer, dir } = context.rotations[link.rotation];
+                moves.push({ axis, layer, dir });
+                link = parents.get(link.key);
+                continue;
+            }
+            const { x, y, z } = PuzzleSolver.fromIndex(link.index, context.size);
+            const { axis, dir } = MOVE_DIRECTIONS[link.d];
+            moves.push({ x, y, z, axis, dir });
+            link = parents.get(link.key);
+        }
+        return moves.reverse();
+    }
+
+    static analyze(grid, moves, rules = DEFAULT_RULES, tiles = [], pieceGrid = null, channelGrid = null) {
+        // Replay a solution to measure how many blocks it touches and how many options each step offers
+        const size = getGridSize(grid);
+        const context = PuzzleSolver.createContext(size, rules, tiles);
+        let state = PuzzleSolver.encode(grid, pieceGrid, channelGrid);
+        const ids = state.split('').map((type, index) => (type === '0' ? -1 : index));
+        const moved = new Set();
+        let options = 0;
+
+        moves.forEach((move, turn) => {
+            options += PuzzleSolver.countMoves(state, context, turn);
+            const onFall = (fromCell, toCell) => {
+                // Falling is not a move of its own, but the block keeps its identity
+                ids[toCell] = ids[fromCell];
+                ids[fromCell] = -1;
+            };
+            if (move.layer !== undefined) {
+                // A slice turn moves every block in the slice except those that only spin in place
+                const { cells, targets } = context.rotations.find(({ axis, layer, dir }) => (
+                    axis === move.axis && layer === move.layer && dir === move.dir
+                ));
+                const carried = cells.map((cell) => ids[cell]);
+                cells.forEach((cell, i) => {
+                    if (carried[i] !== -1 && targets[i] !== cell) moved.add(state[cell] >= 'a' ? state[cell] : carried[i]);
+                    ids[cell] = -1;
+                });
+                cells.forEach((cell, i) => {
+                    if (carried[i] !== -1) ids[targets[i]] = carried[i];
+                });
+                state = PuzzleSolver.getMoveSuccessor(state, move, context, turn, undefined, onFall);
+                return;
+            }
+            const from = PuzzleSolver.toIndex(move.x, move.y, move.z, size);
+            const d = MOVE_DIRECTIONS.findIndex((direction) => direction.axis === move.axis && direction.dir === move.dir);
+            // Pieces are never pushed, so their letter is enough to tell them apart
+            if (state[from] >= 'a') moved.add(state[from]);
+            state = PuzzleSolver.getSuccessor(state, from, d, context, turn, (line) => {
+                for (let i = line.length - 1; i > 0; i -= 1) {
+                    if (ids[line[i - 1]] !== -1) moved.add(ids[line[i - 1]]);
+                    ids[line[i]] = ids[line[i - 1]];
+                }
+                ids[line[0]] = -1;
+            }, onFall);
+        });
+
+        return {
+            blocksMoved: moved.size,
+            branching: moves.length > 0 ? Math.round((options / moves.length) * 10) / 10 : 0
+        };
+    }
+
+    static countMoves(state, context, moveCount = 0) {
+        let count = 0;
+        for (let index = 0; index < state.length; index += 1) {
+            const char = state[index];
+            if (!MOVABLE_CHARS.has(char) && !(char >= 'a' && state.indexOf(char) === index)) continue;
+            for (let d = 0; d < MOVE_DIRECTIONS.length; d += 1) {
+                if (PuzzleSolver.getSuccessor(state, index, d, context, moveCount) !== null) count += 1;
+            }
+        }
+        context.rotations.forEach((rotation) => {
+            if (PuzzleSolver.getRotationSuccessor(state, rotation, context, moveCount) !== null) count += 1;
+        });
+        return count;
+    }
+
+    static encode(grid, pieceGrid = null, channelGrid = null) {
+        let state = '';
+        grid.forEach((plane, x) => plane.forEach((row, y) => {
+            state += pieceGrid || channelGrid
+                ? row.map((type, z) => {
+                    if (pieceGrid?.[x][y][z]) return String.fromCharCode(PIECE_CHAR_OFFSET + pieceGrid[x][y][z]);
+                    if (type === BLOCK.CORE && channelGrid?.[x][y][z]) return getCoreChar(channelGrid[x][y][z]);
+                    return type;
+                }).join('')
+                : row.join('');
+        }));
+        return state;
+    }
+
+    static decode(state, size) {
+        const grid = createEmptyGrid(size);
+        const pieceGrid = createEmptyGrid(size);
+        const channelGrid = createEmptyGrid(size);
+        for (let index = 0; index < state.length; index += 1) {
+            const { x, y, z } = PuzzleSolver.fromIndex(index, size);
+            const { type, piece, channel } = readStateChar(state[index]);
+            grid[x][y][z] = type;
+            pieceGrid[x][y][z] = piece;
+            channelGrid[x][y][z] = channel;
+        }
+        return { grid, pieceGrid, channelGrid };
+    }
+
+    static toIndex(x, y, z, size) {
+        return (x * size.y + y) * size.z + z;
+    }
+
+    static fromIndex(index, size) {
+        return {
+            x: Math.floor(index / (size.y * size.z)),
+            y: Math.floor(index / size.z) % size.y,
+            z: index % size.z
+        };
+    }
+
+    static getNeighborTable(size) {
+        const table = [];
+        for (let index = 0; index < size.x * size.y * size.z; index += 1) {
+            const { x, y, z } = PuzzleSolver.fromIndex(index, size);
+            table[index] = MOVE_DIRECTIONS.map(({ dx, dy, dz }) => (
+                isInBounds(x + dx, y + dy, z + dz, size) ? PuzzleSolver.toIndex(x + dx, y + dy, z + dz, size) : -1
+            ));
+        }
+        return table;
+    }
+}
+
+export class GameState {
+    // Board rules for one attempt: the grid, legal moves, undo/redo and the win/lose check
+    constructor(level) {
+        this.level = level;
+        this.rules = getLevelRules(level);
+        this.size = getLevelSize(level);
+        this.targets = getLevelTargets(level);
+        this.grid = createGridFromLevel(level);
+        this.pieceGrid = createPieceGridFromLevel(level);
+        this.channelGrid = createChannelGridFromLevel(level);
+        this.tiles = getLevelTiles(level);
+        this.context = PuzzleSolver.createContext(this.size, this.rules, this.tiles);
+        this.history = [];
+        this.redoStack = [];
+        if (this.rules.gravity) {
+            this.settle();
+        }
+    }
+
+    get moveCount() {
+        return this.history.length;
+    }
+
+    getCell(x, y, z) {
+        return isInBounds(x, y, z, this.size) ? this.grid[x][y][z] : null;
+    }
+
+    getPiece(x, y, z) {
+        return isInBounds(x, y, z, this.size) ? this.pieceGrid[x][y][z] : 0;
+    }
+
+    getChannel(x, y, z) {
+        return isInBounds(x, y, z, this.size) ? this.channelGrid[x][y][z] : 0;
+    }
+
+    getTile(x, y, z) {
+        return isInBounds(x, y, z, this.size) ? this.context.tiles[PuzzleSolver.toIndex(x, y, z, this.size)] : null;
+    }
+
+    isTileClosed(tile) {
+        const typeAt = (index) => {
+            const { x, y, z } = PuzzleSolver.fromIndex(index, this.size);
+            return this.grid[x][y][z];
+        };
+        return PuzzleSolver.isTileClosed(tile, this.context, typeAt, this.moveCount);
+    }
+
+    getMove(x, y, z, axis, dir) {
+        const type = this.getCell(x, y, z);
+        const d = MOVE_DIRECTIONS.findIndex((direction) => direction.axis === axis && direction.dir === dir);
+        if (!BLOCK_TYPES[type]?.movable || d === -1) {
+            return null;
+        }
+        if (this.getPiece(x, y, z)) {
+            return this.getPieceMove(x, y, z, d);
+        }
+        const { neighbors } = this.context;
+        const cellAt = (index) => PuzzleSolver.fromIndex(index, this.size);
+        const typeAt = (index) => {
+            const cell = cellAt(index);
+            return this.grid[cell.x][cell.y][cell.z];
+        };
+        const isPushable = (index) => {
+            const cell = cellAt(index);
+            return BLOCK_TYPES[typeAt(index)]?.pushable && !this.pieceGrid[cell.x][cell.y][cell.z];
+        };
+        const origin = PuzzleSolver.toIndex(x, y, z, this.size);
+
+        // The line only ever advances, so every cell ahead of its front still holds its original content
+        const line = [{ type, channel: this.channelGrid[x][y][z], path: [origin] }];
+        do {
+            let ahead = neighbors[line[line.length - 1].path.at(-1)][d];
+            const picked = [];
+            while (this.rules.push && ahead !== -1 && ahead !== origin && isPushable(ahead)) {
+                picked.push({ type: typeAt(ahead), channel: 0, path: [ahead] });
+                ahead = neighbors[ahead][d];
+            }
+            if (ahead === -1 || ahead === origin || typeAt(ahead) !== 0 || this.isTileClosed(this.context.tiles[ahead])) break;
+            line.push(...picked);
+            line.forEach((link) => {
+                link.path.push(neighbors[link.path.at(-1)][d]);
+            });
+        } while (this.rules.movement === 'slide');
+
+        const [mover, ...pushed] = line.map((link) => {
+            const path = link.path.map(cellAt);
+            return { from: path[0], to: path[path.length - 1], type: link.type, piece: 0, channel: link.channel, path };
+        });
+        if (mover.path.length === 1) {
+            return null;
+        }
+        return this.addFalls({ ...mover, axis, dir, linked: [], pushed });
+    }
+
+    getPieceMove(x, y, z, d) {
+        // The clicked cell leads the move and the rest of the piece travels with it as `linked` cells
+        const { adjacent, tiles } = this.context;
+        const { axis, dir } = MOVE_DIRECTIONS[d];
+        const piece = this.pieceGrid[x][y][z];
+        const cellAt = (index) => PuzzleSolver.fromIndex(index, this.size);
+        const typeAt = (index) => {
+            const cell = cellAt(index);
+            return this.grid[cell.x][cell.y][cell.z];
+        };
+        const own = new Set();
+        for (let index = 0; index < adjacent.length; index += 1) {
+            const cell = cellAt(index);
+            if (this.pieceGrid[cell.x][cell.y][cell.z] === piece) own.add(index);
+        }
+        const origin = PuzzleSolver.toIndex(x, y, z, this.size);
+        const paths = [origin, ...[...own].filter((index) => index !== origin)].map((index) => [index]);
+
+        // Cells the piece has left are empty again, so only those and empty cells can be entered
+        let covered = own;
+        do {
+            const next = paths.map((path) => adjacent[path.at(-1)][d]);
+            const blocked = next.some((index) => {
+                if (index === -1) return true;
+                if (covered.has(index)) return false;
+                if (!own.has(index) && typeAt(index) !== 0) return true;
+                const tile = tiles[index];
+                return Boolean(tile) && (tile.type === BLOCK.PORTAL || this.isTileClosed(tile));
+            });
+            if (blocked) break;
+            paths.forEach((path, i) => path.push(next[i]));
+            covered = new Set(next);
+        } while (this.rules.movement === 'slide');
+
+        if (paths[0].length === 1) {
+            return null;
+        }
+        const [mover, ...linked] = paths.map((indices) => {
+            const path = indices.map(cellAt);
+            return { from: path[0], to: path[path.length - 1], type: BLOCK.DATA, piece, channel: 0, path };
+        });
+        return this.addFalls({ ...mover, axis, dir, linked, pushed: [] });
+    }
+
+    getRotation(axis, layer, dir) {
+        // Every block in the slice travels as one link; the first one leads, the rest ride along as `linked`
+        const rotation = this.context.rotations.find((turn) => turn.axis === axis && turn.layer === layer && turn.dir === dir);
+        if (!rotation) {
+            return null;
+        }
+        const cellAt = (index) => PuzzleSolver.fromIndex(index, this.size);
+        const links = [];
+        const pieces = new Map();
+        for (let i = 0; i < rotation.cells.length; i += 1) {
+            const from = cellAt(rotation.cells[i]);
+            const to = cellAt(rotation.targets[i]);
+            const type = this.grid[from.x][from.y][from.z];
+            if (type === BLOCK.EMPTY) continue;
+            const tile = this.context.tiles[rotation.targets[i]];
+            if (rotation.targets[i] !== rotation.cells[i] && tile && (tile.type === BLOCK.PORTAL || this.isTileClosed(tile))) {
+                return null;
+            }
+            const piece = this.pieceGrid[from.x][from.y][from.z];
+            if (piece) pieces.set(piece, (pieces.get(piece) || 0) + 1);
+            links.push({ from, to, type, piece, channel: this.channelGrid[from.x][from.y][from.z], path: [from, to] });
+        }
+        // A piece reaching out of the slice holds the whole slice still
+        for (const [piece, count] of pieces) {
+            if (this.pieceGrid.flat(2).filter((id) => id === piece).length !== count) return null;
+        }
+        if (links.length === 0 || links.every(({ from, to, type, piece, channel }) => (
+            this.grid[to.x][to.y][to.z] === type && this.pieceGrid[to.x][to.y][to.z] === piece && this.channelGrid[to.x][to.y][to.z] === channel
+        ))) {
+            return null;
+        }
+        const [mover, ...linked] = links;
+        return this.addFalls({ ...mover, axis, dir, layer, linked, pushed: [] });
+    }
+
+    addFalls(move) {
+        // Gravity drops blocks once the whole move is done; a move that only falls back to where it began is no move
+        move.falls = [];
+        if (!this.rules.gravity) {
+            return move;
+        }
+        const cellAt = (index) => PuzzleSolver.fromIndex(index, this.size);
+        const indexOf = ({ x, y, z }) => PuzzleSolver.toIndex(x, y, z, this.size);
+        const before = this.encode();
+        const chars = before.split('');
+        const links = [move, ...move.linked, ...move.pushed];
+        links.forEach(({ from }) => {
+            chars[indexOf(from)] = '0';
+        });
+        links.forEach(({ from, to }) => {
+            chars[indexOf(to)] = before[indexOf(from)];
+        });
+
+        // Paths are keyed by the cell each falling block currently occupies
+        const paths = new Map();
+        const settled = PuzzleSolver.settle(chars.join(''), this.context, this.moveCount + 1, before, (from, to) => {
+            const path = paths.get(from) || [from];
+            paths.delete(from);
+            path.push(to);
+            paths.set(to, path);
+        });
+        if (settled === before) {
+            return null;
+        }
+        move.falls = [...paths.values()].map((indices) => {
+            const path = indices.map(cellAt);
+            return { from: path[0], to: path[path.length - 1], ...readStateChar(chars[indices[0]]), path };
+        });
+        return move;
+    }
+
+    getLegalMoves() {
+        const moves = [];
+        for (let x = 0; x < this.size.x; x += 1) {
+            for (let y = 0; y < this.size.y; y += 1) {
+                for (let z = 0; z < this.size.z; z += 1) {
+                    MOVE_DIRECTIONS.forEach(({ axis, dir }) => {
+                        const move = this.getMove(x, y, z, axis, dir);
+                        if (move) moves.push(move);
+                    });
+                }
+            }
+        }
+        this.context.rotations.forEach(({ axis, layer, dir }) => {
+            const move = this.getRotation(axis, layer, dir);
+            if (move) moves.push(move);
+        });
+        return moves;
+    }
+
+    move(x, y, z, axis, dir) {
+        const move = this.getMove(x, y, z, axis, dir);
+        if (!move) {
+            return null;
+        }
+        this.redoStack = [];
+        this.applyMove(move);
+        return move;
+    }
+
+    rotate(axis, layer, dir) {
+        const move = this.getRotation(axis, layer, dir);
+        if (!move) {
+            return null;
+        }
+        this.redoStack = [];
+        this.applyMove(move);
+        return move;
+    }
+
+    playMove(entry) {
+        // Recorded steps are block moves { x, y, z, axis, dir } or slice turns { axis, layer, dir }
+        return entry.layer !== undefined
+            ? this.rotate(entry.axis, entry.layer, entry.dir)
+            : this.move(entry.x, entry.y, entry.z, entry.axis, entry.dir);
+    }
+
+    applyMove(move) {
+        this.shiftLinks([move, ...move.linked, ...move.pushed], true);
+        this.shiftLinks(move.falls, true);
+        this.history.push(move);
+    }
+
+    shiftLinks(links, isForward) {
+        // Clear every origin before filling destinations so a shifted line never overwrites itself
+        links.forEach((link) => {
+            const { x, y, z } = isForward ? link.from : link.to;
+            this.grid[x][y][z] = 0;
+            this.pieceGrid[x][y][z] = 0;
+            this.channelGrid[x][y][z] = 0;
+        });
+        links.forEach((link) => {
+            const { x, y, z } = isForward ? link.to : link.from;
+            this.grid[x][y][z] = link.type;
+            this.pieceGrid[x][y][z] = link.piece;
+            this.channelGrid[x][y][z] = link.channel;
+        });
+    }
+
+    undo() {
+        const move = this.history.pop();
+        if (!move) {
+            return null;
+        }
+        // Falls are lifted back first so the move itself is undone on the board it produced
+        this.shiftLinks(move.falls, false);
+        this.shiftLinks([move, ...move.linked, ...move.pushed], false);
+        this.redoStack.push(move);
+        return move;
+    }
+
+    redo() {
+        const move = this.redoStack.pop();
+        if (!move) {
+            return null;
+        }
+        this.applyMove(move);
+        return move;
+    }
+
+    settle() {
+        // Gravity boards start at rest, so anything placed in mid-air drops before the first move
+        const settled = PuzzleSolver.settle(this.encode(), this.context, this.moveCount);
+        ({ grid: this.grid, pieceGrid: this.pieceGrid, channelGrid: this.channelGrid } = PuzzleSolver.decode(settled, this.size));
+    }
+
+    getExtractedCount() {
+        // An exit counts once it holds a core of its own colour
+        return this.targets.filter(({ x, y, z, channel = 0 }) => (
+            this.grid[x][y][z] === BLOCK.CORE && this.channelGrid[x][y][z] === channel
+        )).length;
+    }
+
+    isExtracted() {
+        return this.getExtractedCount() === this.targets.length;
+    }
+
+    getStatus() {
+        if (this.moveCount > this.level.moveLimit) return 'lockdown';
+        if (this.isExtracted()) return 'victory';
+        return 'playing';
+    }
+
+    encode() {
+        return PuzzleSolver.encode(this.grid, this.pieceGrid, this.channelGrid);
+    }
+
+    getStateKey() {
+        return PuzzleSolver.getStateKey(this.encode(), this.moveCount, this.context);
+    }
+
+    solve(maxStates) {
+        return PuzzleSolver.solve(
+            this.grid,
+            this.targets,
+            maxStates,
+            this.rules,
+            this.tiles,
+            this.moveCount,
+            this.pieceGrid,
+            this.channelGrid
+        );
+    }
+}
+
+export function getLevelRules(level) {
+    return {
+        push: level.push === true,
+        movement: MOVEMENT_MODES.includes(level.movement) ? level.movement : DEFAULT_RULES.movement,
+        gravity: level.gravity === true,
+        rotate: level.rotate === true
+    };
+}
+
+export function getLevelTargets(level) {
+    // Levels list several exits in `targets`; older levels have a single uncoloured `target`
+    return (level.targets || [level.target]).map(({ x, y, z, channel }) => ({ x, y, z, ...(channel ? { channel } : {}) }));
+}
+
+export function getLevelTiles(level) {
+    return level.blocks
+        .filter((block) => BLOCK_TYPES[block.type]?.layer === 'tile')
+        .map((block) => ({ ...block }));
+}
+
+export function getLevelSize(level) {
+    if (typeof level.size === 'number') {
+        return { x: level.size, y: level.size, z: level.size };
+    }
+    if (level.size) {
+        return { x: level.size.x, y: level.size.y, z: level.size.z };
+    }
+    return { x: DEFAULT_GRID_SIZE, y: DEFAULT_GRID_SIZE, z: DEFAULT_GRID_SIZE };
+}
+
+export function getGridSize(grid) {
+    return { x: grid.length, y: grid[0].length, z: grid[0][0].length };
+}
+
+export function createGridFromLevel(level) {
+    const size = getLevelSize(level);
+    const grid = createEmptyGrid(size);
+    level.blocks.forEach((block) => {
+        if (!isInBounds(block.x, block.y, block.z, size) || BLOCK_TYPES[block.type]?.layer !== 'block') {
+            return;
+        }
+        grid[block.x][block.y][block.z] = block.type;
+    });
+    return grid;
+}
+
+export function createPieceGridFromLevel(level) {
+    // Piece id per cell, 0 for loose blocks; cells sharing an id move together
+    const size = getLevelSize(level);
+    const pieceGrid = createEmptyGrid(size);
+    level.blocks.forEach((block) => {
+        if (!isInBounds(block.x, block.y, block.z, size) || !BLOCK_TYPES[block.type]?.piece || !block.piece) {
+            return;
+        }
+        pieceGrid[block.x][block.y][block.z] = block.piece;
+    });
+    return pieceGrid;
+}
+
+export function createChannelGridFromLevel(level) {
+    // Core channel per cell, 0 for uncoloured cores and every other block
+    const size = getLevelSize(level);
+    const channelGrid = createEmptyGrid(size);
+    level.blocks.forEach((block) => {
+        if (!isInBounds(block.x, block.y, block.z, size) || !BLOCK_TYPES[block.type]?.color || !block.channel) {
+            return;
+        }
+        channelGrid[block.x][block.y][block.z] = block.channel;
+    });
+    return channelGrid;
+}
+
+export function createEmptyGrid(size) {
+    const grid = [];
+    for (let x = 0; x < size.x; x += 1) {
+        grid[x] = [];
+        for (let y = 0; y < size.y; y += 1) {
+            grid[x][y] = [];
+            for (let z = 0; z < size.z; z += 1) {
+                grid[x][y][z] = 0;
+            }
+        }
+    }
+    return grid;
+}
+
+export function isInBounds(x, y, z, size) {
+    return x >= 0 && x < size.x && y >= 0 && y < size.y && z >= 0 && z < size.z;
+}
+
+function getLeastCommonMultiple(a, b) {
+    let x = a;
+    let y = b;
+    while (y !== 0) {
+        [x, y] = [y, x % y];
+    }
+    return (a / x) * b;
+}
+
+export function isGridInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+export function validateLevelData(data, path) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { level: null, errors: [`${path}: 레벨은 객체여야 합니다.`] };
+    }
+
+    if (typeof data.id !== 'string' || data.id.trim() === '') {
+        errors.push(`${path}.id: 비어 있지 않은 문자열이어야 합니다.`);
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push(`${path}.name: 비어 있지 않은 문자열이어야 합니다.`);
+    }
+    if (!Number.isInteger(data.moveLimit) || data.moveLimit < 1) {
+        errors.push(`${path}.moveLimit: 1 이상의 정수여야 합니다 (현재 ${JSON.stringify(data.moveLimit)}).`);
+    }
+    if (data.push !== undefined && typeof data.push !== 'boolean') {
+        errors.push(`${path}.push: true 또는 false여야 합니다 (현재 ${JSON.stringify(data.push)}).`);
+    }
+    if (data.gravity !== undefined && typeof data.gravity !== 'boolean') {
+        errors.push(`${path}.gravity: true 또는 false여야 합니다 (현재 ${JSON.stringify(data.gravity)}).`);
+    }
+    if (data.rotate !== undefined && typeof data.rotate !== 'boolean') {
+        errors.push(`${path}.rotate: true 또는 false여야 합니다 (현재 ${JSON.stringify(data.rotate)}).`);
+    }
+    if (data.movement !== undefined && !MOVEMENT_MODES.includes(data.movement)) {
+        errors.push(`${path}.movement: ${MOVEMENT_MODES.map((mode) => `"${mode}"`).join(' 또는 ')}이어야 합니다 (현재 ${JSON.stringify(data.movement)}).`);
+    }
+
+    const size = getLevelSize({ size: data.size === undefined ? DEFAULT_GRID_SIZE : data.size || {} });
+    const isAxisValid = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_GRID_SIZE;
+    if (!isAxisValid(size.x) || !isAxisValid(size.y) || !isAxisValid(size.z)) {
+        errors.push(`${path}.size: 각 축은 1-${MAX_GRID_SIZE} 사이의 정수여야 합니다 (현재 ${JSON.stringify(data.size)}).`);
+        return { level: null, errors };
+    }
+    if (data.rotate === true && size.x !== size.y && size.y !== size.z && size.z !== size.x) {
+        errors.push(`${path}.rotate: 두 변이 같은 단면이 없어 회전할 수 있는 층이 없습니다 (현재 ${size.x}×${size.y}×${size.z}).`);
+    }
+
+    const bounds = `${size.x}×${size.y}×${size.z}`;
+    const describe = (cell) => `(${cell.x}, ${cell.y}, ${cell.z})`;
+    const isChannel = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_CHANNELS;
+    // `targets` lists several exits, optionally coloured; `target` is the single-exit shorthand
+    let targets = [];
+    if (data.targets === undefined) {
+        targets = [[data.target === undefined ? { x: size.x - 1, y: size.y - 1, z: size.z - 1 } : data.target, `${path}.target`]];
+    } else if (data.target !== undefined) {
+        errors.push(`${path}: target과 targets는 함께 쓸 수 없습니다.`);
+    } else if (!Array.isArray(data.targets) || data.targets.length === 0) {
+        errors.push(`${path}.targets: 탈출구가 1개 이상 있는 배열이어야 합니다.`);
+    } else {
+        targets = data.targets.map((target, index) => [target, `${path}.targets[${index}]`]);
+    }
+    const exits = new Map();
+    targets.forEach(([target, targetPath]) => {
+        if (!target || !isGridInteger(target.x) || !isGridInteger(target.y) || !isGridInteger(target.z)) {
+            errors.push(`${targetPath}: x, y, z 정수 좌표가 필요합니다.`);
+        } else if (!isInBounds(target.x, target.y, target.z, size)) {
+            errors.push(`${targetPath}: ${describe(target)}이(가) 그리드 범위(${bounds})를 벗어났습니다.`);
+        } else if (target.channel !== undefined && !isChannel(target.channel)) {
+            errors.push(`${targetPath}: channel은 1-${MAX_CHANNELS} 사이의 정수여야 합니다 (현재 ${JSON.stringify(target.channel)}).`);
+        } else if (exits.has(describe(target))) {
+            errors.push(`${targetPath}: 탈출구 ${describe(target)}가 중복됩니다.`);
+        } else {
+            exits.set(describe(target), target);
+        }
+    });
+
+    if (!Array.isArray(data.blocks)) {
+        errors.push(`${path}.blocks: 배열이어야 합니다.`);
+        return { level: null, errors };
+    }
+
+    const occupied = new Map();
+    const typeList = Object.entries(BLOCK_TYPES).map(([type, { label }]) => `${type}=${label}`).join(', ');
+    const channels = { [BLOCK.PAD]: new Set(), [BLOCK.LOCK]: new Set(), [BLOCK.PORTAL]: new Map() };
+    const pieces = new Map();
+    const cores = new Map();
+    data.blocks.forEach((block, index) => {
+        const blockPath = `${path}.blocks[${index}]`;
+        if (!block || !Number.isInteger(block.x) || !Number.isInteger(block.y) || !Number.isInteger(block.z)) {
+            errors.push(`${blockPath}: x, y, z 정수 좌표가 필요합니다.`);
+            return;
+        }
+        const info = BLOCK_TYPES[block.type];
+        if (!info) {
+            errors.push(`${blockPath}: 알 수 없는 type ${JSON.stringify(block.type)} (${typeList}).`);
+            return;
+        }
+        if (!isInBounds(block.x, block.y, block.z, size)) {
+            errors.push(`${blockPath}: ${describe(block)}이(가) 그리드 범위(${bounds})를 벗어났습니다.`);
+            return;
+        }
+        if ((info.channel || (info.color && block.channel !== undefined)) && !isChannel(block.channel)) {
+            errors.push(`${blockPath}: ${info.label}의 channel은 1-${MAX_CHANNELS} 사이의 정수여야 합니다 (현재 ${JSON.stringify(block.channel)}).`);
+            return;
+        }
+        if (info.period && !(Number.isInteger(block.period) && block.period >= 1 && block.period <= MAX_TIMER_PERIOD)) {
+            errors.push(`${blockPath}: ${info.label}의 period는 1-${MAX_TIMER_PERIOD} 사이의 정수여야 합니다 (현재 ${JSON.stringify(block.period)}).`);
+            return;
+        }
+        if (block.piece !== undefined && !info.piece) {
+            errors.push(`${blockPath}: ${info.label}은(는) piece에 속할 수 없습니다.`);
+            return;
+        }
+        if (block.piece !== undefined && !(Number.isInteger(block.piece) && block.piece >= 1 && block.piece <= MAX_PIECES)) {
+            errors.push(`${blockPath}: piece는 1-${MAX_PIECES} 사이의 정수여야 합니다 (현재 ${JSON.stringify(block.piece)}).`);
+            return;
+        }
+        const key = describe(block);
+        if (occupied.has(key)) {
+            errors.push(`${blockPath}: ${key} 칸이 blocks[${occupied.get(key)}]와 겹칩니다.`);
+            return;
+        }
+        occupied.set(key, index);
+        if (block.type === BLOCK.CORE) cores.set(block.channel || 0, (cores.get(block.channel || 0) || 0) + 1);
+        const onExit = exits.has(key);
+        if (block.type === BLOCK.FIREWALL && onExit) {
+            errors.push(`${blockPath}: 방화벽이 탈출구 ${key}를 막고 있습니다.`);
+        } else if (info.layer === 'tile' && onExit) {
+            errors.push(`${blockPath}: 탈출구 ${key}에는 ${info.label}을(를) 둘 수 없습니다.`);
+        }
+        if (block.piece !== undefined) {
+            if (!pieces.has(block.piece)) pieces.set(block.piece, []);
+            pieces.get(block.piece).push(block);
+        }
+        if (block.type === BLOCK.PORTAL) {
+            const pair = channels[BLOCK.PORTAL];
+            pair.set(block.channel, (pair.get(block.channel) || 0) + 1);
+        } else if (channels[block.type]) {
+            channels[block.type].add(block.channel);
+        }
+    });
+    if (cores.size === 0) {
+        errors.push(`${path}.blocks: 코어(type 2)가 1개 이상 있어야 합니다.`);
+    } else {
+        // Each exit takes exactly one core of its colour, so the counts must match colour by colour
+        const wanted = new Map();
+        exits.forEach(({ channel }) => wanted.set(channel || 0, (wanted.get(channel || 0) || 0) + 1));
+        new Set([...cores.keys(), ...wanted.keys()]).forEach((channel) => {
+            const coreCount = cores.get(channel) || 0;
+            const exitCount = wanted.get(channel) || 0;
+            if (coreCount === exitCount) return;
+            const colour = channel ? `채널 ${channel}` : '색 없는';
+            errors.push(`${path}.blocks: ${colour} 코어 ${coreCount}개와 탈출구 ${exitCount}개의 수가 같아야 합니다.`);
+        });
+    }
+    channels[BLOCK.PORTAL].forEach((count, channel) => {
+        if (count !== 2) {
+            errors.push(`${path}.blocks: 채널 ${channel}의 포탈은 정확히 2개여야 합니다 (현재 ${count}개).`);
+        }
+    });
+    channels[BLOCK.LOCK].forEach((channel) => {
+        if (!channels[BLOCK.PAD].has(channel)) {
+            errors.push(`${path}.blocks: 채널 ${channel}의 잠금을 열 패드가 없습니다.`);
+        }
+    });
+    pieces.forEach((cells, piece) => {
+        if (cells.length < 2) {
+            errors.push(`${path}.blocks: piece ${piece}는 2칸 이상이어야 합니다 (현재 ${cells.length}칸).`);
+        } else if (!isPieceConnected(cells)) {
+            errors.push(`${path}.blocks: piece ${piece}의 칸들이 면으로 이어져 있지 않습니다.`);
+        }
+    });
+
+    if (errors.length > 0) {
+        return { level: null, errors };
+    }
+    return {
+        level: {
+            id: data.id,
+            name: data.name,
+            moveLimit: data.moveLimit,
+            push: data.push === true,
+            movement: data.movement === undefined ? DEFAULT_RULES.movement : data.movement,
+            gravity: data.gravity === true,
+            rotate: data.rotate === true,
+            size,
+            ...(data.targets === undefined
+                ? { target: getLevelTargets({ target: targets[0][0] })[0] }
+                : { targets: getLevelTargets(data) }),
+            blocks: data.blocks.map(({ x, y, z, type, channel, period, piece }) => ({
+                x,
+                y,
+                z,
+                type,
+                ...(BLOCK_TYPES[type].channel || (BLOCK_TYPES[type].color && channel !== undefined) ? { channel } : {}),
+                ...(BLOCK_TYPES[type].period ? { period } : {}),
+                ...(piece !== undefined ? { piece } : {})
+            }))
+        },
+        errors
+    };
+}
+
+function getCoreChar(channel) {
+    return channel ? String.fromCharCode(CORE_CHAR_OFFSET + channel) : String(BLOCK.CORE);
+}
+
+function readStateChar(char) {
+    // The block type, piece id and core channel one solver state cell spells
+    if (char >= 'a') {
+        return { type: BLOCK.DATA, piece: char.charCodeAt(0) - PIECE_CHAR_OFFSET, channel: 0 };
+    }
+    if (CORE_CHARS.has(char) && char !== getCoreChar(0)) {
+        return { type: BLOCK.CORE, piece: 0, channel: char.charCodeAt(0) - CORE_CHAR_OFFSET };
+    }
+    return { type: Number(char), piece: 0, channel: 0 };
+}
+
+function isPieceConnected(cells) {
+    // Flood fill across shared faces from the first cell
+    const keys = new Set(cells.map(({ x, y, z }) => `${x},${y},${z}`));
+    const reached = new Set([`${cells[0].x},${cells[0].y},${cells[0].z}`]);
+    const queue = [cells[0]];
+    for (let head = 0; head < queue.length; head += 1) {
+        const { x, y, z } = queue[head];
+        MOVE_DIRECTIONS.forEach(({ dx, dy, dz }) => {
+            const key = `${x + dx},${y + dy},${z + dz}`;
+            if (!keys.has(key) || reached.has(key)) return;
+            reached.add(key);
+            queue.push({ x: x + dx, y: y + dy, z: z + dz });
+        });
+    }
+    return reached.size === keys.size;
+}
+
+export function validateLevelPack(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { pack: null, errors: ['팩 파일의 최상위 값은 객체여야 합니다.'] };
+    }
+
+    const errors = [];
+    if (data.format !== PACK_FORMAT) {
+        errors.push(`format: "${PACK_FORMAT}"이어야 합니다 (현재 ${JSON.stringify(data.format)}).`);
+    }
+    if (data.version !== PACK_VERSION) {
+        errors.push(`version: 지원하는 버전은 ${PACK_VERSION}입니다 (현재 ${JSON.stringify(data.version)}).`);
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name: 비어 있지 않은 문자열이어야 합니다.');
+    }
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        errors.push('levels: 레벨이 1개 이상 있는 배열이어야 합니다.');
+        return { pack: null, errors };
+    }
+
+    const ids = new Set();
+    const levels = [];
+    data.levels.forEach((entry, index) => {
+        const result = validateLevelData(entry, `levels[${index}]`);
+        errors.push(...result.errors);
+        const id = entry && entry.id;
+        if (typeof id === 'string' && ids.has(id)) {
+            errors.push(`levels[${index}].id: "${id}"이(가) 중복됩니다.`);
+        }
+        ids.add(id);
+        if (result.level) {
+            levels.push(result.level);
+        }
+    });
+
+    if (errors.length > 0) {
+        return { pack: null, errors };
+    }
+    const id = typeof data.id === 'string' && data.id.trim() !== ''
+        ? data.id
+        : data.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return {
+        pack: {
+            id,
+            name: data.name,
+            author: typeof data.author === 'string' ? data.author : '',
+            description: typeof data.description === 'string' ? data.description : '',
+            levels
+        },
+        errors
+    };
+}
+
+export function getStarRating(moves, optimal, limit) {
+    if (moves > limit) return 0;
+    if (moves <= optimal) return 3;
+    if (moves <= optimal + Math.ceil((limit - optimal) / 2)) return 2;
+    return 1;
+}
+
+export function serializeLevel(level) {
+    const { id, name, moveLimit, blocks: levelBlocks } = level;
+    const rules = getLevelRules(level);
+    const targets = getLevelTargets(level);
+    return {
+        id,
+        name,
+        moveLimit,
+        ...(rules.push ? { push: true } : {}),
+        ...(rules.movement !== DEFAULT_RULES.movement ? { movement: rules.movement } : {}),
+        ...(rules.gravity ? { gravity: true } : {}),
+        ...(rules.rotate ? { rotate: true } : {}),
+        size: getLevelSize(level),
+        ...(targets.length === 1 && !targets[0].channel ? { target: targets[0] } : { targets }),
+        blocks: levelBlocks
+    };
+}
+
+export function serializeReplay(attempt) {
+    // Moves are packed as [x, y, z, axis, dir, t] tuples and slice turns as [axis, layer, dir, t] to keep shared replays short
+    return JSON.stringify({
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        level: serializeLevel(attempt.level),
+        moves: attempt.moves.map(({ x, y, z, axis, dir, layer, t }) => (
+            layer !== undefined ? [axis, layer, dir, t] : [x, y, z, axis, dir, t]
+        ))
+    });
+}
+
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { attempt: null, errors: [`JSON 파싱 실패: ${error.message}`] };
+    }
+    if (!data || data.format !== REPLAY_FORMAT) {
+        return { attempt: null, errors: [`format: "${REPLAY_FORMAT}"이어야 합니다.`] };
+    }
+    if (data.version !== REPLAY_VERSION) {
+        return { attempt: null, errors: [`version: 지원하지 않는 버전입니다 (${JSON.stringify(data.version)}).`] };
+    }
+
+    const { level, errors } = validateLevelData(data.level, 'level');
+    if (!Array.isArray(data.moves)) {
+        errors.push('moves: 배열이어야 합니다.');
+    }
+    if (!level || errors.length > 0) {
+        return { attempt: null, errors };
+    }
+
+    // Simulate the moves so a replay never desyncs from its board halfway through
+    const game = new GameState(level);
+    const moves = [];
+    for (let index = 0; index < data.moves.length; index++) {
+        const entry = data.moves[index];
+        const movePath = `moves[${index}]`;
+        if (Array.isArray(entry) && entry.length === 4) {
+            const [axis, layer, dir, t] = entry;
+            if (!MOVE_DIRECTIONS.some((d) => d.axis === axis && d.dir === dir) || !isGridInteger(layer) || !isGridInteger(t)) {
+                return { attempt: null, errors: [`${movePath}: [axis, layer, dir, t] 형식이어야 합니다.`] };
+            }
+            if (!game.rotate(axis, layer, dir)) {
+                return { attempt: null, errors: [`${movePath}: ${axis}축 ${layer}번 층을 ${dir > 0 ? '+' : '-'} 방향으로 회전할 수 없습니다.`] };
+            }
+            moves.push({ axis, layer, dir, t });
+            continue;
+        }
+        if (!Array.isArray(entry) || entry.length !== 6) {
+            return { attempt: null, errors: [`${movePath}: [x, y, z, axis, dir, t] 형식이어야 합니다.`] };
+        }
+        const [x, y, z, axis, dir, t] = entry;
+        const direction = MOVE_DIRECTIONS.find((d) => d.axis === axis && d.dir === dir);
+        if (!isGridInteger(x) || !isGridInteger(y) || !isGridInteger(z) || !direction || !isGridInteger(t)) {
+            return { attempt: null, errors: [`${movePath}: [x, y, z, axis, dir, t] 형식이어야 합니다.`] };
+        }
+        if (!BLOCK_TYPES[game.getCell(x, y, z)]?.movable) {
+            return { attempt: null, errors: [`${movePath}: (${x}, ${y}, ${z})에 움직일 수 있는 블록이 없습니다.`] };
+        }
+        if (!game.move(x, y, z, axis, dir)) {
+            return { attempt: null, errors: [`${movePath}: (${x}, ${y}, ${z})에서 ${axis}${dir > 0 ? '+' : '-'} 방향으로 이동할 수 없습니다.`] };
+        }
+        moves.push({ x, y, z, axis, dir, t });
+    }
+    return { attempt: { level, moves }, errors: [] };
+}
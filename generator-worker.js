@@ -0,0 +1,18 @@
+import { LevelGenerator, DailyChallenge, PuzzleSolver } from './game-core.js';
+
+// Large sectors can take seconds to search, so the page generates them here instead of on its own thread.
+// Editor validation sends its solver runs here for the same reason.
+self.addEventListener('message', ({ data }) => {
+    const { id, levelNum, seed, daily, solve } = data;
+    try {
+        let result;
+        if (solve) {
+            result = PuzzleSolver.solveLevel(solve);
+        } else {
+            result = daily ? DailyChallenge.generate(daily) : LevelGenerator.generate(levelNum, seed);
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,509 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LEVELS,
+    BLOCK,
+    PACK_FORMAT,
+    PACK_VERSION,
+    GameState,
+    PuzzleSolver,
+    LevelGenerator,
+    DailyChallenge,
+    validateLevelPack,
+    serializeReplay,
+    parseReplay
+} from '../game-core.js';
+
+// Sectors picked to cover step, ice and gravity rules on every board size up to 5x4x4
+const GENERATED_SECTORS = [4, 5, 7, 10, 12, 14, 16, 20, 21, 22, 28, 33, 40, 45, 49];
+const GENERATOR_SEEDS = ['a', 'b', 'c'];
+
+function playToLockdown(game) {
+    // Any legal move that does not win keeps the run going until the move limit is exceeded
+    while (game.getStatus() === 'playing') {
+        const played = game.getLegalMoves().some((move) => {
+            game.playMove(move.layer !== undefined ? move : { ...move.from, axis: move.axis, dir: move.dir });
+            if (game.getStatus() !== 'victory') {
+                return true;
+            }
+            game.undo();
+            return false;
+        });
+        assert.ok(played, 'every legal move wins, so lockdown cannot be reached');
+    }
+}
+
+LEVELS.forEach((level) => {
+    test(`${level.id}: starts playing with legal moves only`, () => {
+        const game = new GameState(level);
+        assert.equal(game.getStatus(), 'playing');
+        const moves = game.getLegalMoves();
+        assert.ok(moves.length > 0);
+        moves.forEach(({ from, axis, dir }) => {
+            assert.ok(game.getMove(from.x, from.y, from.z, axis, dir));
+        });
+        assert.equal(game.move(level.target.x, level.target.y, level.target.z, 'x', 1), null);
+    });
+
+    test(`${level.id}: apply, undo and redo restore the same boards`, () => {
+        const game = new GameState(level);
+        const start = game.encode();
+        const [first] = game.getLegalMoves();
+        assert.ok(game.move(first.from.x, first.from.y, first.from.z, first.axis, first.dir));
+        const moved = game.encode();
+        assert.notEqual(moved, start);
+        assert.equal(game.moveCount, 1);
+
+        assert.ok(game.undo());
+        assert.equal(game.encode(), start);
+        assert.equal(game.moveCount, 0);
+        assert.equal(game.undo(), null);
+
+        assert.ok(game.redo());
+        assert.equal(game.encode(), moved);
+        assert.equal(game.redo(), null);
+    });
+
+    test(`${level.id}: the solver's solution fits the move limit and wins`, () => {
+        const game = new GameState(level);
+        const result = game.solve();
+        assert.equal(result.status, 'solved');
+        assert.ok(result.length <= level.moveLimit);
+        result.moves.forEach((move) => assert.ok(game.playMove(move)));
+        assert.equal(game.getStatus(), 'victory');
+        assert.equal(game.getExtractedCount(), game.targets.length);
+    });
+
+    test(`${level.id}: going past the move limit locks down`, () => {
+        const game = new GameState(level);
+        playToLockdown(game);
+        assert.equal(game.getStatus(), 'lockdown');
+        assert.equal(game.moveCount, level.moveLimit + 1);
+    });
+});
+
+test('the solver reports unsolvable and aborted searches', () => {
+    const walledIn = {
+        moveLimit: 5,
+        target: { x: 2, y: 2, z: 2 },
+        blocks: [
+            { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+            { x: 1, y: 0, z: 0, type: BLOCK.FIREWALL },
+            { x: 0, y: 1, z: 0, type: BLOCK.FIREWALL },
+            { x: 0, y: 0, z: 1, type: BLOCK.FIREWALL }
+        ]
+    };
+    assert.equal(PuzzleSolver.solveLevel(walledIn).status, 'unsolvable');
+    assert.equal(PuzzleSolver.solveLevel(LEVELS[2], 1).status, 'aborted');
+});
+
+GENERATED_SECTORS.forEach((levelNum) => {
+    test(`sector ${levelNum}: every seed generates a solvable board inside its difficulty band`, () => {
+        const difficulty = LevelGenerator.getDifficulty(levelNum);
+        GENERATOR_SEEDS.forEach((seed) => {
+            const level = LevelGenerator.generate(levelNum, seed);
+            assert.deepEqual(level.size, LevelGenerator.getSectorSize(levelNum));
+
+            const result = new GameState(level).solve();
+            assert.equal(result.status, 'solved');
+            assert.equal(result.length, level.optimal);
+            assert.ok(level.optimal <= level.moveLimit);
+
+            const [minLength, maxLength] = difficulty.length;
+            assert.ok(level.optimal >= minLength && level.optimal <= maxLength, `${levelNum}-${seed}: ${level.optimal} moves`);
+            assert.equal(level.stats.distance, 0);
+            assert.equal(LevelGenerator.getBandDistance(level.stats, difficulty), 0);
+        });
+    });
+});
+
+test('generation is deterministic per seed', () => {
+    [12, 45].forEach((levelNum) => {
+        assert.deepEqual(LevelGenerator.generate(levelNum, 'test'), LevelGenerator.generate(levelNum, 'test'));
+    });
+});
+
+test('different seeds generate different sectors', () => {
+    assert.notDeepEqual(LevelGenerator.generate(8, 'a').blocks, LevelGenerator.generate(8, 'b').blocks);
+});
+
+test('dailies are deterministic per date and solvable within their limit', () => {
+    const level = DailyChallenge.generate('2026-01-15');
+    assert.deepEqual(DailyChallenge.generate('2026-01-15'), level);
+    assert.equal(level.daily, '2026-01-15');
+    assert.equal(level.stats.distance, 0);
+    assert.ok(PuzzleSolver.solveLevel(level).length <= level.moveLimit);
+});
+
+test('level packs with a valid header and levels load', () => {
+    const { pack, errors } = validateLevelPack({ format: PACK_FORMAT, version: PACK_VERSION, name: 'My Pack', levels: LEVELS.slice(0, 2) });
+    assert.deepEqual(errors, []);
+    assert.equal(pack.id, 'my-pack');
+    assert.deepEqual(pack.levels.map((level) => level.id), LEVELS.slice(0, 2).map((level) => level.id));
+});
+
+test('level packs are rejected with every problem listed', () => {
+    const header = { format: PACK_FORMAT, version: PACK_VERSION, name: 'Pack' };
+    const reject = (data) => {
+        const { pack, errors } = validateLevelPack(data);
+        assert.equal(pack, null);
+        assert.ok(errors.length > 0);
+        return errors;
+    };
+
+    assert.equal(reject([]).length, 1);
+    assert.equal(reject(null).length, 1);
+    const headerErrors = reject({ format: 'other', version: 2, name: ' ', levels: [LEVELS[0]] });
+    assert.deepEqual(headerErrors.map((error) => error.split(':')[0]), ['format', 'version', 'name']);
+    assert.match(reject({ ...header, levels: [] })[0], /^levels:/);
+    assert.match(reject({ ...header })[0], /^levels:/);
+
+    const [duplicate] = reject({ ...header, levels: [LEVELS[0], LEVELS[1], LEVELS[0]] });
+    assert.match(duplicate, /^levels\[2\]\.id: "boot"/);
+    const invalid = reject({ ...header, levels: [LEVELS[0], { ...LEVELS[1], moveLimit: 0, blocks: [] }] });
+    assert.ok(invalid.every((error) => error.startsWith('levels[1]')));
+    assert.ok(invalid.some((error) => error.startsWith('levels[1].moveLimit')));
+    assert.ok(invalid.some((error) => error.startsWith('levels[1].blocks')));
+});
+
+test('replays round-trip through their text form', () => {
+    const level = LEVELS[0];
+    const moves = PuzzleSolver.solveLevel(level).moves.map((move, index) => ({ ...move, t: index * 500 }));
+    const { attempt, errors } = parseReplay(serializeReplay({ level, moves }));
+    assert.deepEqual(errors, []);
+    assert.equal(attempt.level.id, level.id);
+    assert.deepEqual(attempt.moves, moves);
+});
+
+test('replays are rejected when they cannot be parsed or played back', () => {
+    const text = serializeReplay({ level: LEVELS[0], moves: [] });
+    const withData = (changes) => JSON.stringify({ ...JSON.parse(text), ...changes });
+    const reject = (replayText) => {
+        const { attempt, errors } = parseReplay(replayText);
+        assert.equal(attempt, null);
+        assert.equal(errors.length, 1);
+        return errors[0];
+    };
+
+    assert.match(reject('{ not json'), /^JSON/);
+    assert.match(reject(withData({ format: 'other' })), /^format:/);
+    assert.match(reject(withData({ version: 2 })), /^version:/);
+    assert.match(reject(withData({ moves: {} })), /^moves:/);
+    assert.match(reject(withData({ level: { ...LEVELS[0], blocks: [] } })), /^level\.blocks:/);
+
+    // Every move is played on the board, so one that does not fit it stops the replay at its index
+    const first = [0, 0, 0, 'x', 1, 0];
+    assert.match(reject(withData({ moves: [first, [0, 0, 0, 'x', 1]] })), /^moves\[1\]: \[x, y, z, axis, dir, t\]/);
+    assert.match(reject(withData({ moves: [first, [0, 0, 0, 'w', 1, 0]] })), /^moves\[1\]: \[x, y, z, axis, dir, t\]/);
+    assert.match(reject(withData({ moves: [first, [0, 0, 0, 'x', 1, 100]] })), /^moves\[1\]: \(0, 0, 0\)에 움직일 수 있는 블록이 없습니다/);
+    assert.match(reject(withData({ moves: [first, [1, 0, 0, 'y', -1, 100]] })), /^moves\[1\]: \(1, 0, 0\)에서 y- 방향으로 이동할 수 없습니다/);
+    assert.match(reject(withData({ moves: [['y', 0, 1, 0]] })), /^moves\[0\]: y축 0번 층을/);
+});
+
+function createLevel(blocks, options = {}) {
+    // A 3x3x3 board with its exit in the far corner unless the options say otherwise
+    return { id: 'test', name: 'Test', moveLimit: 20, size: 3, target: { x: 2, y: 2, z: 2 }, ...options, blocks };
+}
+
+function getBlocks(game) {
+    // Board contents in x, y, z order, in the level's block format
+    const blocks = [];
+    game.grid.forEach((plane, x) => plane.forEach((row, y) => row.forEach((type, z) => {
+        if (type === BLOCK.EMPTY) return;
+        const piece = game.getPiece(x, y, z);
+        const channel = game.getChannel(x, y, z);
+        blocks.push({ x, y, z, type, ...(piece ? { piece } : {}), ...(channel ? { channel } : {}) });
+    })));
+    return blocks;
+}
+
+test('push: a moving core shoves the line of data blocks ahead of it', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 1, y: 0, z: 0, type: BLOCK.DATA }
+    ], { push: true, target: { x: 1, y: 0, z: 0 } }));
+    const move = game.move(0, 0, 0, 'x', 1);
+    assert.deepEqual(move.pushed.map(({ from, to }) => [from.x, to.x]), [[1, 2]]);
+    assert.deepEqual(getBlocks(game), [
+        { x: 1, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 2, y: 0, z: 0, type: BLOCK.DATA }
+    ]);
+    assert.equal(game.getStatus(), 'victory');
+
+    game.undo();
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 1, y: 0, z: 0, type: BLOCK.DATA }
+    ]);
+});
+
+test('push: firewalls, walls and push-free levels stop the line', () => {
+    const blocks = [
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 0, y: 0, z: 1, type: BLOCK.DATA },
+        { x: 0, y: 0, z: 2, type: BLOCK.DATA },
+        { x: 1, y: 0, z: 0, type: BLOCK.DATA },
+        { x: 2, y: 0, z: 0, type: BLOCK.FIREWALL }
+    ];
+    const game = new GameState(createLevel(blocks, { push: true }));
+    assert.equal(game.move(0, 0, 0, 'x', 1), null);
+    assert.equal(game.move(0, 0, 0, 'z', 1), null);
+    assert.deepEqual(getBlocks(game), blocks);
+    assert.equal(game.moveCount, 0);
+
+    const pushFree = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 1, y: 0, z: 0, type: BLOCK.DATA }
+    ]));
+    assert.equal(pushFree.move(0, 0, 0, 'x', 1), null);
+});
+
+test('step: a block moves exactly one cell', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE }
+    ], { target: { x: 2, y: 0, z: 0 } }));
+    game.move(0, 0, 0, 'x', 1);
+    assert.deepEqual(getBlocks(game), [{ x: 1, y: 0, z: 0, type: BLOCK.CORE }]);
+    assert.equal(game.getStatus(), 'playing');
+    game.move(1, 0, 0, 'x', 1);
+    assert.deepEqual(getBlocks(game), [{ x: 2, y: 0, z: 0, type: BLOCK.CORE }]);
+    assert.equal(game.getStatus(), 'victory');
+    assert.equal(game.move(2, 0, 0, 'x', 1), null);
+});
+
+test('slide: a block keeps going until a wall or another block stops it', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 0, y: 0, z: 2, type: BLOCK.DATA }
+    ], { movement: 'slide', target: { x: 2, y: 0, z: 0 } }));
+    const blocked = game.move(0, 0, 0, 'z', 1);
+    assert.deepEqual(blocked.to, { x: 0, y: 0, z: 1 });
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 0, z: 1, type: BLOCK.CORE },
+        { x: 0, y: 0, z: 2, type: BLOCK.DATA }
+    ]);
+    game.undo();
+
+    const slide = game.move(0, 0, 0, 'x', 1);
+    assert.equal(slide.path.length, 3);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 0, z: 2, type: BLOCK.DATA },
+        { x: 2, y: 0, z: 0, type: BLOCK.CORE }
+    ]);
+    assert.equal(game.moveCount, 1);
+    assert.equal(game.getStatus(), 'victory');
+});
+
+test('portals: a block stepping into a portal comes out of its partner', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 1, y: 0, z: 0, type: BLOCK.PORTAL, channel: 1 },
+        { x: 1, y: 2, z: 2, type: BLOCK.PORTAL, channel: 1 }
+    ]));
+    game.move(0, 0, 0, 'x', 1);
+    assert.deepEqual(getBlocks(game), [{ x: 1, y: 2, z: 2, type: BLOCK.CORE }]);
+    game.move(1, 2, 2, 'x', 1);
+    assert.deepEqual(getBlocks(game), [{ x: 2, y: 2, z: 2, type: BLOCK.CORE }]);
+    assert.equal(game.getStatus(), 'victory');
+});
+
+test('portals: a sliding block carries on out of the partner portal', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 1, y: 0, z: 0, type: BLOCK.PORTAL, channel: 1 },
+        { x: 0, y: 2, z: 2, type: BLOCK.PORTAL, channel: 1 }
+    ], { movement: 'slide' }));
+    game.move(0, 0, 0, 'x', 1);
+    assert.deepEqual(getBlocks(game), [{ x: 2, y: 2, z: 2, type: BLOCK.CORE }]);
+    assert.equal(game.moveCount, 1);
+    assert.equal(game.getStatus(), 'victory');
+});
+
+test('locks: a lock stays closed until a key rests on every pad of its channel', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.KEY },
+        { x: 1, y: 0, z: 0, type: BLOCK.PAD, channel: 1 },
+        { x: 2, y: 2, z: 0, type: BLOCK.CORE },
+        { x: 2, y: 2, z: 1, type: BLOCK.LOCK, channel: 1 }
+    ]));
+    const lock = game.getTile(2, 2, 1);
+    assert.equal(game.isTileClosed(lock), true);
+    assert.equal(game.move(2, 2, 0, 'z', 1), null);
+
+    game.move(0, 0, 0, 'x', 1);
+    assert.equal(game.isTileClosed(lock), false);
+    game.move(2, 2, 0, 'z', 1);
+    game.move(2, 2, 1, 'z', 1);
+    assert.deepEqual(getBlocks(game), [
+        { x: 1, y: 0, z: 0, type: BLOCK.KEY },
+        { x: 2, y: 2, z: 2, type: BLOCK.CORE }
+    ]);
+    assert.equal(game.getStatus(), 'victory');
+
+    game.undo();
+    game.undo();
+    game.undo();
+    assert.equal(game.isTileClosed(lock), true);
+});
+
+test('timers: a timed firewall only lets blocks in while it is open', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 0, y: 2, z: 0, type: BLOCK.DATA },
+        { x: 1, y: 0, z: 0, type: BLOCK.TIMER, period: 1 }
+    ], { target: { x: 2, y: 0, z: 0 } }));
+    assert.equal(game.move(0, 0, 0, 'x', 1), null);
+
+    // Open after one move, closed again after the next
+    game.move(0, 2, 0, 'z', 1);
+    game.move(0, 2, 1, 'z', 1);
+    assert.equal(game.move(0, 0, 0, 'x', 1), null);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 0, y: 2, z: 2, type: BLOCK.DATA }
+    ]);
+
+    game.undo();
+    game.move(0, 0, 0, 'x', 1);
+    game.move(1, 0, 0, 'x', 1);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 2, z: 1, type: BLOCK.DATA },
+        { x: 2, y: 0, z: 0, type: BLOCK.CORE }
+    ]);
+    assert.equal(game.getStatus(), 'victory');
+});
+
+test('pieces: every cell of a piece moves together and nothing is pushed', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 2, z: 2, type: BLOCK.CORE },
+        { x: 1, y: 2, z: 1, type: BLOCK.DATA, piece: 1 },
+        { x: 1, y: 2, z: 2, type: BLOCK.DATA, piece: 1 },
+        { x: 2, y: 2, z: 1, type: BLOCK.DATA }
+    ], { push: true }));
+    assert.equal(game.move(0, 2, 2, 'x', 1), null);
+    assert.equal(game.move(1, 2, 1, 'x', 1), null);
+
+    // Any cell of the piece can lead the move
+    const move = game.move(1, 2, 1, 'y', -1);
+    assert.equal(move.linked.length, 1);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 2, z: 2, type: BLOCK.CORE },
+        { x: 1, y: 1, z: 1, type: BLOCK.DATA, piece: 1 },
+        { x: 1, y: 1, z: 2, type: BLOCK.DATA, piece: 1 },
+        { x: 2, y: 2, z: 1, type: BLOCK.DATA }
+    ]);
+    game.move(0, 2, 2, 'x', 1);
+    game.move(1, 2, 2, 'x', 1);
+    assert.equal(game.getStatus(), 'victory');
+
+    game.undo();
+    game.undo();
+    game.undo();
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 2, z: 2, type: BLOCK.CORE },
+        { x: 1, y: 2, z: 1, type: BLOCK.DATA, piece: 1 },
+        { x: 1, y: 2, z: 2, type: BLOCK.DATA, piece: 1 },
+        { x: 2, y: 2, z: 1, type: BLOCK.DATA }
+    ]);
+});
+
+test('gravity: blocks rest on the floor, other blocks or firewalls and fall after every move', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 2, z: 1, type: BLOCK.DATA },
+        { x: 1, y: 0, z: 0, type: BLOCK.DATA },
+        { x: 1, y: 2, z: 0, type: BLOCK.CORE },
+        { x: 2, y: 1, z: 2, type: BLOCK.FIREWALL },
+        { x: 2, y: 2, z: 2, type: BLOCK.DATA }
+    ], { gravity: true, target: { x: 2, y: 0, z: 0 } }));
+    const settled = [
+        { x: 0, y: 0, z: 1, type: BLOCK.DATA },
+        { x: 1, y: 0, z: 0, type: BLOCK.DATA },
+        { x: 1, y: 1, z: 0, type: BLOCK.CORE },
+        { x: 2, y: 1, z: 2, type: BLOCK.FIREWALL },
+        { x: 2, y: 2, z: 2, type: BLOCK.DATA }
+    ];
+    assert.deepEqual(getBlocks(game), settled);
+
+    const move = game.move(1, 1, 0, 'x', 1);
+    assert.deepEqual(move.falls.map(({ from, to }) => [from, to]), [[{ x: 2, y: 1, z: 0 }, { x: 2, y: 0, z: 0 }]]);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 0, z: 1, type: BLOCK.DATA },
+        { x: 1, y: 0, z: 0, type: BLOCK.DATA },
+        { x: 2, y: 0, z: 0, type: BLOCK.CORE },
+        { x: 2, y: 1, z: 2, type: BLOCK.FIREWALL },
+        { x: 2, y: 2, z: 2, type: BLOCK.DATA }
+    ]);
+    assert.equal(game.getStatus(), 'victory');
+
+    game.undo();
+    assert.deepEqual(getBlocks(game), settled);
+});
+
+test('cores: every exit needs a core of its own colour', () => {
+    const game = new GameState(createLevel([
+        { x: 1, y: 0, z: 0, type: BLOCK.CORE, channel: 2 },
+        { x: 2, y: 1, z: 0, type: BLOCK.CORE, channel: 1 }
+    ], { targets: [{ x: 2, y: 0, z: 0, channel: 1 }, { x: 0, y: 0, z: 0, channel: 2 }] }));
+    game.move(1, 0, 0, 'x', 1);
+    assert.equal(game.getExtractedCount(), 0);
+    assert.equal(game.getStatus(), 'playing');
+    game.undo();
+
+    game.move(1, 0, 0, 'x', -1);
+    assert.equal(game.getExtractedCount(), 1);
+    assert.equal(game.getStatus(), 'playing');
+    game.move(2, 1, 0, 'y', -1);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 0, z: 0, type: BLOCK.CORE, channel: 2 },
+        { x: 2, y: 0, z: 0, type: BLOCK.CORE, channel: 1 }
+    ]);
+    assert.equal(game.getExtractedCount(), 2);
+    assert.equal(game.getStatus(), 'victory');
+});
+
+test('rotation: a slice turn carries every block in the slice, firewalls included', () => {
+    const blocks = [
+        { x: 0, y: 0, z: 0, type: BLOCK.DATA },
+        { x: 0, y: 2, z: 2, type: BLOCK.CORE },
+        { x: 1, y: 1, z: 1, type: BLOCK.DATA },
+        { x: 2, y: 0, z: 0, type: BLOCK.FIREWALL }
+    ];
+    assert.equal(new GameState(createLevel(blocks)).rotate('z', 0, 1), null);
+
+    const game = new GameState(createLevel(blocks, { rotate: true }));
+    const turn = game.rotate('z', 0, 1);
+    assert.equal(turn.linked.length, 1);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 2, z: 2, type: BLOCK.CORE },
+        { x: 1, y: 1, z: 1, type: BLOCK.DATA },
+        { x: 2, y: 0, z: 0, type: BLOCK.DATA },
+        { x: 2, y: 2, z: 0, type: BLOCK.FIREWALL }
+    ]);
+    game.rotate('z', 2, -1);
+    assert.deepEqual(getBlocks(game), [
+        { x: 1, y: 1, z: 1, type: BLOCK.DATA },
+        { x: 2, y: 0, z: 0, type: BLOCK.DATA },
+        { x: 2, y: 2, z: 0, type: BLOCK.FIREWALL },
+        { x: 2, y: 2, z: 2, type: BLOCK.CORE }
+    ]);
+    assert.equal(game.moveCount, 2);
+    assert.equal(game.getStatus(), 'victory');
+
+    game.undo();
+    game.undo();
+    assert.deepEqual(getBlocks(game), blocks);
+});
+
+test('rotation: blocks a slice turn leaves in mid-air fall under gravity', () => {
+    const game = new GameState(createLevel([
+        { x: 0, y: 0, z: 2, type: BLOCK.DATA },
+        { x: 0, y: 1, z: 2, type: BLOCK.CORE }
+    ], { rotate: true, gravity: true, target: { x: 1, y: 0, z: 2 } }));
+    const turn = game.rotate('z', 2, -1);
+    assert.equal(turn.falls.length, 2);
+    assert.deepEqual(getBlocks(game), [
+        { x: 0, y: 0, z: 2, type: BLOCK.DATA },
+        { x: 1, y: 0, z: 2, type: BLOCK.CORE }
+    ]);
+    assert.equal(game.getStatus(), 'victory');
+});